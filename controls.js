@@ -0,0 +1,109 @@
+// Controls are named actions bound to keyboard keys (KeyboardEvent.code, so they
+// follow physical positions on any layout) and gamepad buttons (standard mapping).
+// The left stick always steers as well, on top of the button bindings.
+export const ACTIONS = {
+  left:  'Left',
+  right: 'Right',
+  jump:  'Jump',
+  roll:  'Roll',
+  board: 'Hoverboard',
+  pause: 'Pause',
+};
+
+export const DEFAULT_BINDINGS = {
+  keys: {
+    left:  ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    jump:  ['ArrowUp', 'KeyW', 'Space'],
+    roll:  ['ArrowDown', 'KeyS'],
+    board: ['KeyB', 'KeyE'],
+    pause: ['Escape', 'KeyP'],
+  },
+  pad: {
+    left:  [14],
+    right: [15],
+    jump:  [0, 12],
+    roll:  [1, 13],
+    board: [2, 3],
+    pause: [9],
+  },
+};
+
+// Saved overrides ({ keys: { action: [...] }, pad: { ... } }) on top of the defaults
+export function resolveBindings(overrides = {}) {
+  const out = {};
+  for(const kind in DEFAULT_BINDINGS) {
+    out[kind] = {};
+    for(const action in ACTIONS) {
+      const saved = overrides[kind] && overrides[kind][action];
+      out[kind][action] = Array.isArray(saved) ? saved : DEFAULT_BINDINGS[kind][action];
+    }
+  }
+  return out;
+}
+
+// Binds input to action alone: it's taken off any other action first
+export function rebind(overrides, kind, action, input) {
+  const all = resolveBindings(overrides);
+  const next = { ...overrides, [kind]: { ...overrides[kind] } };
+  for(const a in ACTIONS) {
+    if(a !== action && all[kind][a].includes(input)) next[kind][a] = all[kind][a].filter(i => i !== input);
+  }
+  next[kind][action] = [input];
+  return next;
+}
+
+const PAD_NAMES = { 0: 'A', 1: 'B', 2: 'X', 3: 'Y', 4: 'LB', 5: 'RB', 6: 'LT', 7: 'RT', 8: 'Back', 9: 'Start',
+                    10: 'L3', 11: 'R3', 12: 'D-Up', 13: 'D-Down', 14: 'D-Left', 15: 'D-Right' };
+const KEY_NAMES = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Space: 'Space', Escape: 'Esc' };
+
+export function inputName(kind, input) {
+  if(kind === 'pad') return PAD_NAMES[input] || `Button ${input}`;
+  return KEY_NAMES[input] || input.replace(/^Key|^Digit/, '');
+}
+
+// Stick pushes past PUSH count once, and the stick has to come back inside
+// RELEASE before the same direction fires again
+const STICK_PUSH = 0.6;
+const STICK_RELEASE = 0.3;
+
+// Polled once per frame; turns button and stick edges into actions
+export class GamepadInput {
+  constructor() {
+    this.pads = new Map(); // index -> { buttons: [pressed], stick: { x, y } }
+    this._capture = null;
+  }
+
+  // Next newly pressed button goes to cb instead of triggering an action
+  capture(cb) { this._capture = cb; }
+
+  poll(bindings) {
+    const actions = [];
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    for(const pad of pads) {
+      if(!pad || !pad.connected) continue;
+      let prev = this.pads.get(pad.index);
+      if(!prev) this.pads.set(pad.index, prev = { buttons: [], stick: { x: 0, y: 0 } });
+
+      pad.buttons.forEach((b, i) => {
+        const down = b.pressed;
+        if(down && !prev.buttons[i]) {
+          if(this._capture) { const cb = this._capture; this._capture = null; cb(i); }
+          else for(const action in bindings.pad) if(bindings.pad[action].includes(i)) actions.push(action);
+        }
+        prev.buttons[i] = down;
+      });
+
+      const stickAxis = (axis, value, neg, pos) => {
+        const dir = prev.stick[axis];
+        if(Math.abs(value) > STICK_PUSH && Math.sign(value) !== dir) {
+          prev.stick[axis] = Math.sign(value);
+          if(!this._capture) actions.push(value < 0 ? neg : pos);
+        } else if(dir !== 0 && Math.abs(value) < STICK_RELEASE) prev.stick[axis] = 0;
+      };
+      stickAxis('x', pad.axes[0] || 0, 'left', 'right');
+      stickAxis('y', pad.axes[1] || 0, 'jump', 'roll');
+    }
+    return actions;
+  }
+}
@@ -0,0 +1,136 @@
+import { ZONES } from "./zones.js";
+
+// Difficulty profiles: how the track changes with distance run. Every setting
+// is a curve, a list of [distance (m), value] points interpolated in between
+// and held flat past either end (a bare number is a flat curve).
+//   speed     target running speed (m/s); the player eases towards it
+//   density   chance a chunk gets an obstacle pattern (0..1)
+//   zones     { zone id: curve } multipliers on how often each zone comes next (zones.js)
+//   coins     multiplier on the length of every coin line
+//   weights   { pattern id or tag: curve } multipliers on the patterns.json weights
+//
+// A custom profile is the same object loaded from JSON. Settings it leaves out
+// come from Normal.
+export const DIFFICULTIES = {
+  easy: {
+    name: 'Easy',
+    speed: [[0, 12], [3000, 17], [10000, 24], [20000, 30]],
+    density: [[0, 0.6], [5000, 0.85]],
+    zones: { tunnel: 0.6 },
+    coins: 1.25,
+    weights: { train: [[0, 0.6], [5000, 1]], barrier: [[0, 1.5], [5000, 1]] },
+  },
+  normal: {
+    name: 'Normal',
+    speed: [[0, 14], [2000, 20], [5000, 27], [10000, 34], [15000, 40]],
+    density: [[0, 0.8], [2000, 1]],
+    zones: { tunnel: [[0, 0.7], [5000, 1.2]], yard: [[0, 0.7], [4000, 1.3]] },
+    coins: [[0, 1], [10000, 0.75]],
+    weights: { train: [[0, 0.8], [5000, 1.3]], ramp: [[0, 0.8], [3000, 1.2]], barrier: [[0, 1.2], [5000, 0.8]] },
+  },
+  hard: {
+    name: 'Hard',
+    speed: [[0, 16], [1500, 24], [6000, 34], [12000, 45]],
+    density: 1,
+    zones: { tunnel: 1.5, yard: 1.5 },
+    coins: [[0, 0.9], [8000, 0.6]],
+    weights: { train: [[0, 1.2], [4000, 1.8]], barrier: [[0, 1], [4000, 0.6]] },
+  },
+};
+export const DEFAULT_DIFFICULTY = 'normal';
+
+const MAX_SPEED = 60; // Beyond this ramps climb faster than STEP_UP per step
+const LIMITS = {
+  speed:   { min: 1, max: MAX_SPEED },
+  density: { min: 0, max: 1 },
+  coins:   { min: 0, max: 10 },
+  weight:  { min: 0, max: 100 },
+};
+
+export class DifficultyError extends Error {
+  constructor(errors) {
+    super(`Invalid difficulty profile:\n  ${errors.join('\n  ')}`);
+    this.name = 'DifficultyError';
+    this.errors = errors;
+  }
+}
+
+function checkCurve(path, curve, { min, max }, errors) {
+  const points = typeof curve === 'number' ? [[0, curve]] : curve;
+  if(!Array.isArray(points) || !points.length) { errors.push(`${path}: expected a number or a list of [distance, value] points`); return; }
+  let last = -Infinity;
+  points.forEach((pt, i) => {
+    if(!Array.isArray(pt) || pt.length !== 2 || !pt.every(Number.isFinite)) { errors.push(`${path}[${i}]: expected [distance, value]`); return; }
+    if(pt[0] < last) errors.push(`${path}[${i}]: distances must go up`);
+    if(pt[1] < min || pt[1] > max) errors.push(`${path}[${i}]: ${pt[1]} is outside ${min}..${max}`);
+    last = pt[0];
+  });
+}
+
+// Returns the profile with Normal filled in, or throws a DifficultyError listing every problem
+export function validateDifficulty(data) {
+  if(!data || typeof data !== 'object' || Array.isArray(data)) throw new DifficultyError(['root: expected an object']);
+  const errors = [];
+  for(const key of Object.keys(data)) {
+    if(!['name', 'weights', 'zones'].includes(key) && !LIMITS[key]) errors.push(`${key}: unknown setting`);
+  }
+  if(data.name !== undefined && typeof data.name !== 'string') errors.push(`name: expected a string`);
+  for(const key of ['speed', 'density', 'coins']) {
+    if(data[key] !== undefined) checkCurve(key, data[key], LIMITS[key], errors);
+  }
+  if(data.weights !== undefined) {
+    if(!data.weights || typeof data.weights !== 'object' || Array.isArray(data.weights)) errors.push('weights: expected { id or tag: curve }');
+    else for(const key in data.weights) checkCurve(`weights.${key}`, data.weights[key], LIMITS.weight, errors);
+  }
+  if(data.zones !== undefined) {
+    if(!data.zones || typeof data.zones !== 'object' || Array.isArray(data.zones)) errors.push('zones: expected { zone id: curve }');
+    else for(const key in data.zones) {
+      if(!ZONES[key]) errors.push(`zones.${key}: unknown zone (expected ${Object.keys(ZONES).join(', ')})`);
+      else checkCurve(`zones.${key}`, data.zones[key], LIMITS.weight, errors);
+    }
+  }
+  if(errors.length) throw new DifficultyError(errors);
+  return { ...DIFFICULTIES[DEFAULT_DIFFICULTY], name: 'Custom', ...data };
+}
+
+export function parseDifficulty(text) {
+  let data;
+  try { data = JSON.parse(text); }
+  catch(e) { throw new DifficultyError([`not valid JSON (${e.message})`]); }
+  return validateDifficulty(data);
+}
+
+// What runs are compared under (leaderboards, seed links): the preset id, or
+// 'custom' for any profile loaded from JSON
+export const difficultyId = (setting = DEFAULT_DIFFICULTY) => typeof setting === 'string' ? setting : 'custom';
+
+// A preset id or a custom profile object (as stored in sim settings and replays)
+export function resolveDifficulty(setting = DEFAULT_DIFFICULTY) {
+  if(typeof setting === 'string') {
+    if(!DIFFICULTIES[setting]) throw new DifficultyError([`unknown preset "${setting}"`]);
+    return DIFFICULTIES[setting];
+  }
+  return validateDifficulty(setting);
+}
+
+export function curveAt(curve, distance) {
+  if(typeof curve === 'number') return curve;
+  if(distance <= curve[0][0]) return curve[0][1];
+  for(let i=1; i<curve.length; i++) {
+    const [d1, v1] = curve[i];
+    if(distance < d1) {
+      const [d0, v0] = curve[i-1];
+      return v0 + (v1 - v0) * (distance - d0) / (d1 - d0);
+    }
+  }
+  return curve[curve.length - 1][1];
+}
+
+// Multiplier on a pattern's weight: every weights entry naming its id or one of its tags
+export function weightAt(profile, pattern, distance) {
+  let w = 1;
+  for(const key in profile.weights) {
+    if(key === pattern.id || pattern.tags.includes(key)) w *= curveAt(profile.weights[key], distance);
+  }
+  return w;
+}
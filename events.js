@@ -0,0 +1,58 @@
+// Game event bus. Analytics, achievements and mods listen here instead of
+// patching Game. Only the events below exist; listening for anything else throws,
+// so a typo fails loudly instead of never firing.
+//   event         payload
+export const GAME_EVENTS = {
+  runStart:   '{ seed, difficulty, daily, ghost, replay }',
+  runEnd:     '{ score, coins, distance, seed, isNewHigh, replay }',
+  state:      '{ from, to } game state: menu | running | paused | caught | gameover',
+  coin:       '{ coin, coins } the coin picked up and the run total',
+  jump:       'undefined',
+  roll:       'undefined',
+  laneChange: '{ from, to } lane indexes',
+  stumble:    'undefined',
+  caught:     'undefined',
+  chunk:      'chunk entity spawned ({ z, zone, transition, buildings })',
+  pattern:    '{ id, z } obstacle pattern placed on a chunk',
+};
+
+export class EventBus {
+  constructor(types = GAME_EVENTS) {
+    this.types = types;
+    this._listeners = {}; // type -> listeners, in the order added
+  }
+
+  // Returns a function that removes the listener again
+  on(type, fn) {
+    this._check(type);
+    (this._listeners[type] || (this._listeners[type] = [])).push(fn);
+    return () => this.off(type, fn);
+  }
+
+  once(type, fn) {
+    const off = this.on(type, (data) => { off(); fn(data); });
+    return off;
+  }
+
+  off(type, fn) {
+    const list = this._listeners[type];
+    if(!list) return;
+    const i = list.indexOf(fn);
+    if(i >= 0) list.splice(i, 1);
+  }
+
+  // A throwing listener is logged and the rest still run
+  emit(type, data) {
+    this._check(type);
+    const list = this._listeners[type];
+    if(!list) return;
+    for(const fn of list.slice()) {
+      try { fn(data); }
+      catch(e) { console.error(`Error in ${type} listener`, e); }
+    }
+  }
+
+  _check(type) {
+    if(!(type in this.types)) throw new Error(`Unknown event "${type}" (expected ${Object.keys(this.types).join(', ')})`);
+  }
+}
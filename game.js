@@ -1,4 +1,23 @@
 import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.161.0/build/three.module.js";
+import { Rng } from "./rng.js";
+import { RunSim, LANES, CHUNK_LEN, STEP, BOARD_DURATION } from "./sim.js";
+import { REPLAY_VERSION, ACTION_FLAGS, replayFeeder } from "./replay.js";
+import { buildGhost } from "./ghost.js";
+import { POWERUPS } from "./powerups.js";
+import { patternsHash } from "./patterns.js";
+import { dailySeed } from "./missions.js";
+import { DEFAULT_DIFFICULTY, difficultyId } from "./difficulty.js";
+import { DAY_LENGTH, DAY_START, TIMES_OF_DAY, WEATHER, skyAt } from "./sky.js";
+import { ZONES, FIRST_ZONE } from "./zones.js";
+import { Sequencer } from "./music.js";
+import { SfxBank, createPanner, placePanner, placeListener } from "./sfx.js";
+import { EventBus } from "./events.js";
+import { SKINS, OUTFITS, DEFAULT_SKIN, DEFAULT_OUTFIT } from "./skins.js";
+import { GamepadInput, resolveBindings } from "./controls.js";
+import { QUALITY_TIERS, PRESET_TIERS, AutoQuality, RefreshMeter } from "./quality.js";
+import { playerBox, obstacleBoxes, LOW_BARRIER, HIGH_BARRIER } from "./hitbox.js";
+
+const BUILT_IN_KINDS = ['chunk', 'obstacle', 'coin', 'pickup'];
 
 export class Game {
   constructor(opts) {
@@ -8,8 +27,20 @@ export class Game {
     this.setHighScore = opts.setHighScore;
     this.onHud = opts.onHud;
     this.onGameOver = opts.onGameOver;
-
-    this.state = "menu"; 
+    this.onPauseChange = opts.onPauseChange;
+    this.getBoards = opts.getBoards; // Hoverboards owned by the player
+    this.onBoardUsed = opts.onBoardUsed;
+    this.patterns = opts.patterns; // Validated obstacle patterns (patterns.json)
+    this.missions = opts.missions; // MissionTracker fed by live (not replayed) runs
+    this.bindings = resolveBindings(opts.bindings); // Saved overrides on top of controls.js defaults
+    this.look = { player: DEFAULT_SKIN, chaser: DEFAULT_OUTFIT, ...opts.look }; // Equipped skin ids (skins.js)
+    this.difficulty = opts.difficulty || DEFAULT_DIFFICULTY; // Preset id or custom profile (difficulty.js)
+    this.inputTiming = {}; // inputBuffer / coyoteTime overrides, sim defaults if unset
+
+    this.events = new EventBus(); // Run, state and player events for listeners and plugins (events.js)
+    this.plugins = [];
+    this._entityTypes = new Map(); // Plugin entity kind -> its spawner and view hooks
+    this.state = "menu";
 
     this._initRenderer();
     this._initTextures();
@@ -24,6 +55,48 @@ export class Game {
 
     this._lastTime = performance.now();
     this._raf = requestAnimationFrame((t) => this._tick(t));
+
+    (opts.plugins || []).forEach(p => this.use(p));
+  }
+
+  // Every state change is published as a 'state' event
+  get state() { return this._state; }
+  set state(to) {
+    const from = this._state;
+    this._state = to;
+    if(from !== to) this.events.emit('state', { from, to });
+  }
+
+  // ---------------------------
+  // PLUGINS
+  // ---------------------------
+  // A plugin is { name, setup(game), update(dt, game), entities: [...] }; only
+  // the name is required. setup runs once on registration (listen on
+  // game.events there), update every frame while a run is going (not paused,
+  // caught or over) once the sim has stepped.
+  // Each entity type is a sim spawner (see RunSim) plus view hooks
+  // build(e, mesh, THREE) -> Object3D (mesh is a pooled one to reuse, if any)
+  // and sync(e, mesh, dt); they join from the next run.
+  use(plugin) {
+    if(!plugin || !plugin.name) throw new Error("Plugins need a name");
+    if(this.plugins.some(p => p.name === plugin.name)) throw new Error(`Plugin "${plugin.name}" is already registered`);
+    const types = plugin.entities || [];
+    for(const type of types) {
+      if(BUILT_IN_KINDS.includes(type.kind) || this._entityTypes.has(type.kind)) throw new Error(`Plugin "${plugin.name}": entity kind "${type.kind}" is already taken`);
+      if(typeof type.spawn !== 'function' || typeof type.build !== 'function') throw new Error(`Plugin "${plugin.name}": entity kind "${type.kind}" needs spawn() and build()`);
+    }
+    this.plugins.push(plugin);
+    types.forEach(type => this._entityTypes.set(type.kind, type));
+    if(plugin.setup) plugin.setup(this);
+  }
+
+  // A throwing plugin is logged, like an EventBus listener, and the frame carries on
+  _updatePlugins(dt) {
+    for(const p of this.plugins) {
+      if(!p.update) continue;
+      try { p.update(dt, this); }
+      catch(e) { console.error(`Error in plugin "${p.name}" update`, e); }
+    }
   }
 
   // ---------------------------
@@ -41,18 +114,58 @@ export class Game {
     this._applyQuality();
   }
 
+  // 'low' | 'medium' | 'high' pick a fixed tier (quality.js); 'auto' adapts to frame time
   setQuality(q) {
-    this._shadows = (q !== 'low');
-    // Low: 1.0, Med: 1.5, High: Device Native
-    this._pixelRatioCap = (q === 'low') ? 1.0 : (q === 'high' ? window.devicePixelRatio : 1.5);
+    if(q === 'auto') { if(!this.autoQuality) this.autoQuality = new AutoQuality({ tier: this._tier, refresh: this.refresh }); }
+    else {
+      this.autoQuality = null;
+      this._tier = PRESET_TIERS[q];
+    }
     this._applyQuality();
     // Re-render immediately to prevent glitches
     this.renderer.render(this.scene, this.camera);
   }
 
-  setAudioSettings({ volume, musicEnabled }) {
-    this.audio.setVolume(volume);
-    if(musicEnabled) this.audio.startMusic(); else this.audio.stopMusic();
+  // FPS / draw calls / tier in the HUD data
+  setDebug(on) { this._debug = on; }
+
+  // Takes effect from the next run
+  setDifficulty(difficulty) { this.difficulty = difficulty; }
+
+  // Press buffer and coyote time windows in seconds (see sim.js); take effect from the next run
+  setInputTiming({ inputBuffer, coyoteTime }) { this.inputTiming = { inputBuffer, coyoteTime }; }
+
+  // 'cycle' follows the run clock; 'dawn' | 'day' | 'dusk' | 'night' hold that time (sky.js)
+  setTimeOfDay(mode) {
+    this.timeOfDay = mode;
+    this._syncSky();
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  // 'clear' | 'rain' | 'snow' (sky.js)
+  setWeather(type) {
+    this.weather = WEATHER[type] || WEATHER.clear;
+    this.weatherView.setWeather(this.weather);
+    // Open-air floors get wet; tunnels stay dry
+    [this.mat.ground, this.mat.deck, this.mat.gravel].forEach(m => Object.assign(m, this.weather.ground));
+    this._applyQuality();
+    this._syncSky();
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  // Wireframe collision boxes, exactly as the sim tests them
+  setHitboxes(on) { this.hitboxView.setVisible(on); }
+
+  get qualityTier() { return QUALITY_TIERS[this._tier]; }
+
+  setAudioSettings({ volume, musicVolume, musicEnabled }) {
+    this.audio.setVolume(volume, musicVolume);
+    this.audio.musicOn = musicEnabled;
+    if(!musicEnabled) this.audio.stopMusic();
+    else if(!this.audio.musicPlaying && (this.state === 'running' || this.state === 'paused')) {
+      this.audio.startMusic();
+      if(this.state === 'paused') this.audio.pauseMusic();
+    }
   }
 
   // ---------------------------
@@ -66,19 +179,40 @@ export class Game {
     });
     this.renderer.outputColorSpace = THREE.SRGBColorSpace;
     this.renderer.setClearColor(0x87CEEB, 1); // Sky blue
-    this._pixelRatioCap = 1.5;
-    this._shadows = true; 
+    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    this._tier = PRESET_TIERS.medium;
+    this._fps = 60;
+    this.refresh = new RefreshMeter();
+    this._debug = false;
   }
 
   _applyQuality() {
-    const pr = Math.min(window.devicePixelRatio || 1, this._pixelRatioCap);
-    this.renderer.setPixelRatio(pr);
-    this.renderer.shadowMap.enabled = this._shadows;
-    if(this._shadows) this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    const tier = QUALITY_TIERS[this._tier];
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, tier.pixelRatio));
+
+    const shadows = tier.shadowMap > 0;
+    if(this.renderer.shadowMap.enabled !== shadows) {
+      this.renderer.shadowMap.enabled = shadows;
+      // Shadow receiving is compiled into the shaders, including pooled meshes off the scene
+      const mats = new Set();
+      const collect = (root) => root.traverse(o => { if(o.material) mats.add(o.material); });
+      collect(this.scene);
+      this.pools.forEach(list => list.forEach(collect));
+      mats.forEach(m => m.needsUpdate = true);
+    }
+    if(shadows && this.sun.shadow.mapSize.x !== tier.shadowMap) {
+      this.sun.shadow.mapSize.set(tier.shadowMap, tier.shadowMap);
+      if(this.sun.shadow.map) { this.sun.shadow.map.dispose(); this.sun.shadow.map = null; }
+    }
+    this.scene.fog.far = tier.fogFar * this.weather.fog;
+    this._viewDist = tier.viewDist;
+    this.weatherView.setCount(tier.particles);
   }
 
   _initTextures() {
     // Helper to generate textures procedurally
+    // Fixed seed so the procedural textures look the same every session
+    const rng = new Rng(1);
     const createTex = (c1, c2, type) => {
       const size = 512;
       const cvs = document.createElement('canvas');
@@ -89,12 +223,12 @@ export class Game {
       
       if(type === 'noise') { // Asphalt / Concrete
         ctx.fillStyle = c2;
-        for(let i=0; i<8000; i++) ctx.fillRect(Math.random()*size, Math.random()*size, 2, 2);
+        for(let i=0; i<8000; i++) ctx.fillRect(rng.next()*size, rng.next()*size, 2, 2);
       } else if(type === 'planks') { // Wood sleepers
         ctx.fillStyle = c2;
         for(let i=0; i<size; i+=40) { 
             ctx.fillRect(0, i, size, 4); 
-            ctx.fillRect(Math.random()*size, i, 4, 40); 
+            ctx.fillRect(rng.next()*size, i, 4, 40); 
         }
       } else if(type === 'metal') { // Trains
          const grd = ctx.createLinearGradient(0,0,size,size);
@@ -102,6 +236,9 @@ export class Game {
          ctx.fillStyle = grd; ctx.fillRect(0,0,size,size);
          ctx.fillStyle = 'rgba(0,0,0,0.1)';
          ctx.fillRect(0,0,size,10); ctx.fillRect(0,0,10,size);
+      } else if(type === 'hoops') { // Striped shirts
+          ctx.fillStyle = c2;
+          for(let y=0; y<size; y+=64) ctx.fillRect(0, y, size, 32);
       } else if(type === 'stripes') { // Caution
           ctx.fillStyle = c2;
           ctx.beginPath();
@@ -111,7 +248,7 @@ export class Game {
           ctx.fillStyle = c2; 
           for(let y=20; y<size; y+=60) {
              for(let x=20; x<size; x+=50) {
-                 if(Math.random()>0.2) ctx.fillRect(x,y, 30, 40);
+                 if(rng.next()>0.2) ctx.fillRect(x,y, 30, 40);
              }
           }
       } else if(type === 'bricks') { // Tunnel
@@ -126,6 +263,24 @@ export class Game {
       tex.colorSpace = THREE.SRGBColorSpace;
       return tex;
     };
+    this._createTex = createTex; // Skin patterns are made on demand
+
+    // Night glow for buildings: just the lit windows of their texture, on black
+    const glowOf = (tex) => {
+      const cvs = document.createElement('canvas');
+      cvs.width = tex.image.width; cvs.height = tex.image.height;
+      const ctx = cvs.getContext('2d');
+      ctx.drawImage(tex.image, 0, 0);
+      const img = ctx.getImageData(0, 0, cvs.width, cvs.height);
+      for(let i=0; i<img.data.length; i+=4) {
+        img.data[i] = img.data[i+1] = img.data[i+2] = img.data[i] > 128 ? 255 : 0;
+      }
+      ctx.putImageData(img, 0, 0);
+      const glow = new THREE.CanvasTexture(cvs);
+      glow.wrapS = glow.wrapT = THREE.RepeatWrapping;
+      glow.colorSpace = THREE.SRGBColorSpace;
+      return glow;
+    };
 
     this.tex = {
       ground: createTex('#222', '#333', 'noise'),
@@ -134,8 +289,14 @@ export class Game {
       trainRed: createTex('#b71c1c', '#d32f2f', 'metal'),
       caution: createTex('#ffeb3b', '#212121', 'stripes'),
       building: createTex('#37474f', '#cfd8dc', 'windows'), // Dark grey with lights
-      tunnel: createTex('#3e2723', '#221111', 'bricks')
+      tunnel: createTex('#3e2723', '#221111', 'bricks'),
+      // Zone floors and walls (zones.js)
+      concrete: createTex('#3a3a3a', '#2c2c2c', 'noise'),
+      deck: createTex('#455a64', '#263238', 'planks'),
+      gravel: createTex('#5d4a3a', '#7a6552', 'noise'),
+      shed: createTex('#6d4c41', '#8d6e63', 'metal')
     };
+    this.tex.windowGlow = glowOf(this.tex.building);
   }
 
   _initScene() {
@@ -159,27 +320,81 @@ export class Game {
     this.sun.shadow.camera.left = -30; this.sun.shadow.camera.right = 30;
     this.sun.shadow.bias = -0.0005;
     this.scene.add(this.sun);
+
+    // Headlight beams for the nearest oncoming trains at night. A fixed pool that
+    // only changes intensity, so the light count (and the shaders) stay the same.
+    this.headlights = [0, 1, 2].map(() => {
+      const spot = new THREE.SpotLight(0xfff2cc, 0, 45, Math.PI/7, 0.5, 1);
+      this.scene.add(spot, spot.target);
+      return spot;
+    });
+
+    // Tunnel lamps: the same kind of pool, moved to the tunnel chunks nearest the player
+    this.tunnelLamps = [0, 1, 2].map(() => {
+      const lamp = new THREE.PointLight(0xffaa00, 0, 20);
+      this.scene.add(lamp);
+      return lamp;
+    });
+
+    this.timeOfDay = 'cycle';
+    this.weather = WEATHER.clear;
+    this._zoneLight = 1; // Daylight let in by the zone the player is in
+    this.weatherView = new WeatherView(this.scene);
   }
 
-  _initAudio() { this.audio = new AudioManager(); }
+  _initAudio() {
+    this.audio = new AudioManager();
+    this.rumbles = new Map(); // Moving train -> its rumble loop
+    this._stepClock = 0;      // Chaser footsteps
+    this._whistled = false;
+  }
 
   _initInput() {
     this.input = new InputManager(this.canvas);
+    this.input.clock = () => this.sim ? this.sim.steps : 0;
+    this.gamepad = new GamepadInput();
+    this._keyCapture = null;
     window.addEventListener("keydown", e => {
-      if(this.state !== 'running') {
-          if(this.state === 'paused' && e.key === 'Escape') this.resume();
+      if(this._keyCapture) {
+          const cb = this._keyCapture;
+          this._keyCapture = null;
+          e.preventDefault();
+          cb(e.code);
           return;
       }
-      switch(e.key) {
-        case 'ArrowLeft': case 'a': this.input.left(); break;
-        case 'ArrowRight': case 'd': this.input.right(); break;
-        case 'ArrowUp': case ' ': case 'w': this.input.up(); break;
-        case 'ArrowDown': case 's': this.input.down(); break;
-        case 'Escape': this.pause(); break;
-      }
+      if(e.repeat) return;
+      const keys = this.bindings.keys;
+      const action = Object.keys(keys).find(a => keys[a].includes(e.code));
+      if(!action) return;
+      if(this.state === 'running') e.preventDefault();
+      this._onAction(action);
     });
   }
 
+  _onAction(action) {
+    if(this.state !== 'running') {
+        if(this.state === 'paused' && action === 'pause') this.resume();
+        return;
+    }
+    switch(action) {
+      case 'left': this.input.left(); break;
+      case 'right': this.input.right(); break;
+      case 'jump': this.input.up(); break;
+      case 'roll': this.input.down(); break;
+      case 'board': this.input.board(); break;
+      case 'pause': this.pause(); break;
+    }
+  }
+
+  setBindings(overrides) { this.bindings = resolveBindings(overrides); }
+
+  // Hands the next key code ('keys') or gamepad button index ('pad') to cb
+  // instead of playing it, for rebinding
+  captureInput(kind, cb) {
+    if(kind === 'pad') this.gamepad.capture(cb);
+    else this._keyCapture = cb;
+  }
+
   _initWorld() {
     this.world = new THREE.Group();
     this.scene.add(this.world);
@@ -201,30 +416,108 @@ export class Game {
       ramp: new THREE.MeshStandardMaterial({ map:this.tex.metal, roughness:0.5 }),
       barrier: new THREE.MeshStandardMaterial({ map:this.tex.caution }),
       
-      building: new THREE.MeshStandardMaterial({ map: this.tex.building }),
+      building: new THREE.MeshStandardMaterial({ map: this.tex.building, emissiveMap: this.tex.windowGlow, emissive: 0xffd58a, emissiveIntensity: 0 }),
       tunnel: new THREE.MeshStandardMaterial({ map: this.tex.tunnel, side: THREE.DoubleSide }),
+
+      // Zones: floors and walls are picked by the zone's look (zones.js)
+      concrete: new THREE.MeshStandardMaterial({ map: this.tex.concrete }),
+      deck: new THREE.MeshStandardMaterial({ map: this.tex.deck }),
+      gravel: new THREE.MeshStandardMaterial({ map: this.tex.gravel }),
+      shed: new THREE.MeshStandardMaterial({ map: this.tex.shed, roughness: 0.6 }),
+      steel: new THREE.MeshStandardMaterial({ color: 0x546e7a, roughness: 0.5, metalness: 0.4 }),
+      water: new THREE.MeshStandardMaterial({ color: 0x1f3a4d, roughness: 0.2 }),
+      lamp: new THREE.MeshBasicMaterial({ color: 0xfff0c0 }),
       
       // Characters
       skin: new THREE.MeshStandardMaterial({ color: 0xffccaa }),
-      shirt: new THREE.MeshStandardMaterial({ color: 0xff4400 }),
-      pants: new THREE.MeshStandardMaterial({ color: 0x1a237e }),
-      guard: new THREE.MeshStandardMaterial({ color: 0x263238 }), 
+      pickup: {
+        magnet: new THREE.MeshStandardMaterial({ color: 0xff3344, emissive: 0x551111 }),
+        jetpack: new THREE.MeshStandardMaterial({ color: 0x33ccff, emissive: 0x114455 }),
+        sneakers: new THREE.MeshStandardMaterial({ color: 0x66ff66, emissive: 0x115511 }),
+        multiplier: new THREE.MeshStandardMaterial({ color: 0xffcc00, emissive: 0x554400 }),
+      },
+      headlight: new THREE.MeshBasicMaterial({ color: 0xffffaa }),
+      headlightOn: new THREE.MeshBasicMaterial({ color: 0xffffff }),
+      taillight: new THREE.MeshBasicMaterial({ color: 0xaa1100 }),
+      taillightOn: new THREE.MeshBasicMaterial({ color: 0xff5533 }),
+      ghost: new THREE.MeshStandardMaterial({ color: 0x66ccff, transparent: true, opacity: 0.35, depthWrite: false }),
     };
 
-    this.playerRig = this._createCharacter(this.mat.shirt, this.mat.pants, false);
+    this._looks = new Map(); // Skin definition -> materials
+    this._buildRigs();
+
+    const ghost = this.mat.ghost;
+    this.ghostRig = this._createCharacter({ top: ghost, bottom: ghost, skin: ghost, hat: 'cap', hatMat: ghost }, false);
+    this.ghostRig.root.visible = false;
+    this.scene.add(this.ghostRig.root);
+
+    // Sim entity -> mesh, and released meshes by kind
+    this._initGeometry();
+    this.views = new Map();
+    this.pools = new Map();
+    this.coinView = new CoinInstances(this.trackGroup, this.geo.coin, this.mat.coin);
+    this.hitboxView = new HitboxView(this.scene, this.world);
+    this._syncSky();
+  }
+
+  // Equips skins by id (skins.js) and rebuilds the rigs with them
+  setLook(look) {
+    this.look = { ...this.look, ...look };
+    this._buildRigs();
+  }
+
+  _buildRigs() {
+    // Rig geometry is per rig; materials are shared through _looks
+    const dispose = (rig) => {
+      if(!rig) return;
+      this.scene.remove(rig.root);
+      rig.root.traverse(o => { if(o.geometry) o.geometry.dispose(); });
+    };
+    dispose(this.playerRig);
+    dispose(this.chaserRig);
+
+    this.playerRig = this._createCharacter(this._lookFor(SKINS[this.look.player] || SKINS[DEFAULT_SKIN]), false);
     this.scene.add(this.playerRig.root);
 
-    this.chaserRig = this._createCharacter(this.mat.guard, this.mat.guard, true);
+    // Jetpack strapped to the back, shown while the power-up runs
+    const jet = new THREE.Mesh(new THREE.BoxGeometry(0.45, 0.6, 0.25), this.mat.pickup.jetpack);
+    jet.position.set(0, 1.25, 0.3);
+    jet.visible = false;
+    this.playerRig.hip.add(jet);
+    this.playerRig.jetpack = jet;
+
+    // Hoverboard under the feet
+    const board = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.1, 1.8), this.mat.barrier);
+    board.position.y = 0.1;
+    board.visible = false;
+    this.playerRig.root.add(board);
+    this.playerRig.board = board;
+
+    this.chaserRig = this._createCharacter(this._lookFor(OUTFITS[this.look.chaser] || OUTFITS[DEFAULT_OUTFIT]), true);
+    this.chaserRig.root.position.set(0,0,3);
     this.scene.add(this.chaserRig.root);
+  }
 
-    this.chunks = [];
-    this.obstacles = [];
-    this.coins = [];
-    this.lanes = [-2.5, 0.0, 2.5];
-    this.chunkLen = 40; // Longer chunks for buildings
+  // Materials and parts for a skin definition, made once per definition
+  _lookFor(def) {
+    if(!this._looks.has(def)) {
+      const color = (c) => new THREE.MeshStandardMaterial({ color: c });
+      const top = def.pattern ? new THREE.MeshStandardMaterial({ map: this._createTex(def.shirt, def.pattern.color, def.pattern.type) }) : color(def.shirt);
+      const bottom = color(def.pants);
+      this._looks.set(def, {
+        top, bottom,
+        skin: def.skin ? color(def.skin) : this.mat.skin,
+        hat: def.hat || 'cap',
+        hatMat: def.hatColor ? color(def.hatColor) : bottom,
+        accessory: def.accessory || 'none',
+        accessoryMat: def.accessoryColor ? color(def.accessoryColor) : top,
+      });
+    }
+    return this._looks.get(def);
   }
 
-  _createCharacter(matTop, matBot, isChaser) {
+  // look: { top, bottom, skin, hat, hatMat, accessory, accessoryMat } (see _lookFor)
+  _createCharacter(look, isChaser) {
     const root = new THREE.Group();
     const hip = new THREE.Group(); 
     root.add(hip);
@@ -232,25 +525,47 @@ export class Game {
     const s = isChaser ? 1.15 : 1.0; 
 
     // Body
-    const body = new THREE.Mesh(new THREE.BoxGeometry(0.5*s, 0.7, 0.35*s), matTop);
+    const body = new THREE.Mesh(new THREE.BoxGeometry(0.5*s, 0.7, 0.35*s), look.top);
     body.position.y = 1.25;
     body.castShadow = true;
     hip.add(body);
 
     // Head
-    const head = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.45, 0.45), this.mat.skin);
+    const head = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.45, 0.45), look.skin);
     head.position.y = 1.85;
     head.castShadow = true;
     hip.add(head);
 
     // Hat
-    const cap = new THREE.Mesh(new THREE.BoxGeometry(0.42*s, 0.15, 0.55), matBot);
-    cap.position.set(0, 2.1, 0.05);
-    hip.add(cap);
+    if(look.hat === 'cap') {
+      const cap = new THREE.Mesh(new THREE.BoxGeometry(0.42*s, 0.15, 0.55), look.hatMat);
+      cap.position.set(0, 2.1, 0.05);
+      hip.add(cap);
+    } else if(look.hat === 'beanie') {
+      const beanie = new THREE.Mesh(new THREE.BoxGeometry(0.44*s, 0.22, 0.47), look.hatMat);
+      beanie.position.set(0, 2.13, 0);
+      hip.add(beanie);
+    } else if(look.hat === 'tophat') {
+      const brim = new THREE.Mesh(new THREE.CylinderGeometry(0.34*s, 0.34*s, 0.04, 12), look.hatMat);
+      brim.position.y = 2.1;
+      hip.add(brim);
+      const crown = new THREE.Mesh(new THREE.CylinderGeometry(0.2*s, 0.2*s, 0.4, 12), look.hatMat);
+      crown.position.y = 2.3;
+      hip.add(crown);
+    }
+
+    // Accessories
+    let backpack = null;
+    if(look.accessory === 'backpack') {
+      backpack = new THREE.Mesh(new THREE.BoxGeometry(0.4*s, 0.5, 0.2), look.accessoryMat);
+      backpack.position.set(0, 1.3, 0.27*s);
+      backpack.castShadow = true;
+      hip.add(backpack);
+    }
 
     // Limbs
     const geoLimb = new THREE.BoxGeometry(0.18*s, 0.7, 0.18*s);
-    const armL = new THREE.Mesh(geoLimb, matTop);
+    const armL = new THREE.Mesh(geoLimb, look.top);
     armL.position.set(-0.35*s, 1.3, 0);
     armL.geometry.translate(0, -0.25, 0);
     hip.add(armL);
@@ -258,7 +573,7 @@ export class Game {
     armR.position.set(0.35*s, 1.3, 0);
     hip.add(armR);
 
-    const legL = new THREE.Mesh(geoLimb, matBot);
+    const legL = new THREE.Mesh(geoLimb, look.bottom);
     legL.position.set(-0.15*s, 0.8, 0);
     legL.geometry.translate(0, -0.3, 0);
     hip.add(legL);
@@ -266,45 +581,84 @@ export class Game {
     legR.position.set(0.15*s, 0.8, 0);
     hip.add(legR);
 
-    return { root, hip, head, armL, armR, legL, legR };
+    return { root, hip, head, armL, armR, legL, legR, backpack };
   }
 
   // ---------------------------
   // GAME LOOP
   // ---------------------------
-  async startRun() {
+  // opts.ghost: replay log of a previous run to race against on the same track
+  // opts.daily: today's daily challenge (seed comes from the date)
+  // opts.difficulty: preset to play instead of the chosen one (a shared seed link)
+  async startRun(seed, opts = {}) {
+    this.audio.unlock();
+    this.audio.startMusic();
+    this.replay = null;
+    this._runOpts = opts;
+    this._runSeed = seed; // Chosen seed (shared link), or undefined for a random track
+    this.ghost = opts.ghost ? buildGhost(opts.ghost, this.patterns) : null;
+    if(opts.ghost) seed = opts.ghost.seed;
+    if(opts.daily) seed = dailySeed();
+    // The daily run is the same for everyone; a ghost is raced on its own difficulty
+    const difficulty = opts.daily ? DEFAULT_DIFFICULTY : (opts.ghost ? opts.ghost.settings.difficulty : (opts.difficulty || this.difficulty));
+    this._resetRun(seed, { boards: this.getBoards ? this.getBoards() : 0, difficulty, ...this.inputTiming });
+    this.input.enabled = true;
+    if(this.missions) this.missions.startRun({ daily: !!opts.daily });
+    this.input.startRecording({
+      version: REPLAY_VERSION, seed: this.sim.seed, step: STEP, settings: this.sim.settings,
+      patterns: patternsHash(this.patterns), date: Date.now()
+    });
+    this.state = "running";
+    this.events.emit('runStart', { seed: this.sim.seed, difficulty, daily: !!opts.daily, ghost: !!opts.ghost, replay: false });
+  }
+
+  // Plays a parsed replay log back; live input is ignored until the run ends
+  async startReplay(log) {
     this.audio.unlock();
     this.audio.startMusic();
-    this._resetRun();
+    if(log.patterns && log.patterns !== patternsHash(this.patterns)) console.warn("Replay was recorded with different obstacle patterns; it may not play back exactly");
+    this.replay = { log, feed: replayFeeder(log) };
+    this._runOpts = {};
+    this._runSeed = undefined;
+    this.ghost = null;
+    this._resetRun(log.seed, log.settings);
+    this.input.enabled = false;
+    this.input.stopRecording();
+    this.lastReplay = log;
     this.state = "running";
+    this.events.emit('runStart', { seed: this.sim.seed, difficulty: this.sim.settings.difficulty, daily: false, ghost: false, replay: true });
+  }
+
+  // Same track again for a seeded run, a fresh random one otherwise
+  async restart() { this.startRun(this._runSeed, this._runOpts); }
+  pause() {
+    if(this.state !== 'running') return;
+    this.state = 'paused';
+    this.input.record('P');
+    this.audio.pauseMusic();
+    this.audio.muteWorld(true);
+    if(this.onPauseChange) this.onPauseChange(true);
+  }
+  resume() {
+    if(this.state !== 'paused') return;
+    this.state = 'running';
+    this._lastTime = performance.now();
+    this.audio.resumeMusic();
+    this.audio.muteWorld(false);
+    if(this.onPauseChange) this.onPauseChange(false);
   }
+  quitToMenu() { this.state='menu'; this.audio.stopMusic(); this._stopRumbles(); this.input.stopRecording(); }
 
-  async restart() { this.startRun(); }
-  pause() { if(this.state==='running') this.state='paused'; }
-  resume() { if(this.state==='paused') { this.state='running'; this._lastTime=performance.now(); } }
-  quitToMenu() { this.state='menu'; this.audio.stopMusic(); }
+  get seed() { return this.sim ? this.sim.seed : null; }
+  get isReplay() { return !!this.replay; }
 
-  _resetRun() {
+  _resetRun(seed, settings) {
     this.world.position.set(0,0,0);
-    
-    // Clean up
-    this.chunks.forEach(c => this.trackGroup.remove(c.group));
-    this.chunks = [];
-    this.obstacles.forEach(o => this.trackGroup.remove(o.mesh));
-    this.obstacles = [];
-    this.coins.forEach(c => this.trackGroup.remove(c.mesh));
-    this.coins = [];
-
-    // Reset Player
-    this.p = {
-      lane: 1, x: 0, y: 0, 
-      vy: 0, groundH: 0,
-      state: 'run',
-      rollTimer: 0,
-      invuln: 0,
-      speed: 12,
-      targetSpeed: 14
-    };
+
+    // Clean up (meshes go back to their pools)
+    [...this.views.keys()].forEach(e => this._removeView(e));
+    this.coinView.clear();
+    this.audio.muteWorld(false);
 
     // Reset Visuals
     this.playerRig.root.position.set(0,0,0);
@@ -313,257 +667,318 @@ export class Game {
 
     this.chaserRig.root.position.set(0,0,3);
     this.chaserRig.root.visible = true;
-    this.chaserDist = 3.5;
 
-    this.score = 0;
-    this.distance = 0;
-    this.coinsCol = 0;
+    this.ghostRig.root.visible = !!this.ghost;
+    this._ghostDelta = null;
+    this._zoneBanner = null;
+    this._zoneLight = ZONES[FIRST_ZONE].look.light;
+
+    this.camera.position.set(0, 5, 8);
+    this.camera.lookAt(0, 2, -10);
+
     this.input.reset();
+    this.sim = new RunSim({ seed, settings, patterns: this.patterns, input: this.input, spawners: [...this._entityTypes.values()],
+                            emit: (type, data) => this._onSimEvent(type, data) });
+    this._prev = this._snapshot();
+    this._acc = 0;
+    this._lastTime = performance.now();
+  }
 
-    // Spawn Start Chunks
-    let z = 0;
-    for(let i=0; i<6; i++) {
-       this._spawnChunk(z, i>3); // Only buildings after first few
-       if(i > 2) this._spawnPattern(z);
-       z -= this.chunkLen;
-    }
+  // Interpolated transforms: previous step state is blended with the current one
+  _snapshot() {
+    const { sim } = this;
+    const movers = new Map();
+    for(const o of sim.obstacles) if(o.active) movers.set(o, o.z);
+    return { x: sim.p.x, y: sim.p.y, worldZ: sim.worldZ, chaserDist: sim.chaserDist, movers };
   }
 
   _tick(time) {
     requestAnimationFrame(t => this._tick(t));
-    if(this.state === 'paused' || this.state === 'menu') return;
+    for(const action of this.gamepad.poll(this.bindings)) this._onAction(action);
+    if(this.state === 'paused' || this.state === 'menu') {
+      // Nothing is drawn here, so frames come at the display's own rate
+      this.refresh.sample((time - this._idleTime) / 1000);
+      this._idleTime = time;
+      return;
+    }
 
-    const dt = Math.min((time - this._lastTime)/1000, 0.05);
+    // Clamp long stalls (tab switch) so we don't try to catch up for seconds
+    const dt = Math.min(Math.max(time - this._lastTime, 0)/1000, 0.25);
     this._lastTime = time;
 
-    this._updateGame(dt);
-    this.renderer.render(this.scene, this.camera);
-    if(this.onHud) this.onHud({ score: Math.floor(this.score), coins: this.coinsCol });
-  }
-
-  // ---------------------------
-  // PHYSICS & UPDATE
-  // ---------------------------
-  _updateGame(dt) {
-    // Speed progression
-    if(this.p.speed < this.p.targetSpeed) this.p.speed += dt * 0.5;
-    this.p.targetSpeed += dt * 0.05;
-    if(this.p.targetSpeed > 40) this.p.targetSpeed = 40;
-
-    // Move World (+Z direction)
-    const move = this.p.speed * dt;
-    this.world.position.z += move;
-    
-    if(this.state === 'running') {
-        this.distance += move;
-        this.score += move * 2;
+    this._acc += dt;
+    while(this._acc >= STEP) {
+      if(this.replay) this.replay.feed(this.sim);
+      this._prev = this._snapshot();
+      this.sim.step(STEP);
+      this._acc -= STEP;
     }
 
-    // Infinite Generation
-    const frontZ = this.world.position.z + this.chunks[0].z;
-    if(frontZ > 40) { // Chunk passed camera
-      const c = this.chunks.shift();
-      this.trackGroup.remove(c.group);
-      
-      const lastZ = this.chunks[this.chunks.length-1].z;
-      const newZ = lastZ - this.chunkLen;
-      
-      // Tunnel logic (10% chance)
-      const isTunnel = Math.random() < 0.1;
-      this._spawnChunk(newZ, true, isTunnel);
-      if(!isTunnel) this._spawnPattern(newZ); // Don't spawn patterns inside tunnels (keep it simple)
-    }
-    
-    // Cull Entities
-    const cullZ = -this.world.position.z + 30;
-    for(let i=this.obstacles.length-1; i>=0; i--) {
-        if(this.obstacles[i].z > cullZ) {
-             this.trackGroup.remove(this.obstacles[i].mesh);
-             this.obstacles.splice(i,1);
-        }
-    }
+    this._syncView(dt, this._acc / STEP);
+    if(this.state === 'running') this._updatePlugins(dt);
+    this.renderer.render(this.scene, this.camera);
 
-    // Chaser Logic
-    let targetDist = (this.p.invuln > 0) ? 1.5 : 4.5;
-    if(this.state === 'caught') targetDist = 0.8;
-    this.chaserDist += (targetDist - this.chaserDist) * dt * 3.0;
-    this.chaserRig.root.position.z = this.chaserDist;
-    this.chaserRig.root.position.x += (this.p.x - this.chaserRig.root.position.x) * 5 * dt;
+    if(dt > 0) this._fps += (1/dt - this._fps) * 0.05;
+    if(this.autoQuality && this.state === 'running') {
+      const tier = this.autoQuality.sample(dt);
+      if(tier !== null) { this._tier = tier; this._applyQuality(); }
+    }
 
-    if(this.state === 'running') this._updatePlayer(dt);
-    else if(this.state === 'caught') this._animateCatch(dt);
+    if(this.onHud) this.onHud({
+      score: Math.floor(this.sim.score),
+      coins: this.sim.coinsCol,
+      ghostDelta: this._ghostDelta,
+      zone: this._zoneBanner && this.sim.time < this._zoneBanner.until ? this._zoneBanner.name : null,
+      boards: this.sim.boards,
+      powers: [
+        ...Object.entries(this.sim.p.powers).map(([type, left]) => ({ type, label: POWERUPS[type].label, left, duration: POWERUPS[type].duration })),
+        ...(this.sim.p.board > 0 ? [{ type: 'board', label: 'Hoverboard', left: this.sim.p.board, duration: BOARD_DURATION }] : [])
+      ],
+      debug: this._debug ? {
+        fps: Math.round(this._fps),
+        calls: this.renderer.info.render.calls,
+        triangles: this.renderer.info.render.triangles,
+        tier: this.qualityTier.name + (this.autoQuality ? ' (auto)' : '')
+      } : null
+    });
   }
 
-  _updatePlayer(dt) {
-    const p = this.p;
-    if(p.invuln > 0) p.invuln -= dt;
-
-    // Lane Changing
-    if(this.input.l) { p.lane = Math.max(0, p.lane-1); this.input.l=false; this.audio.playSfx('swipe'); }
-    if(this.input.r) { p.lane = Math.min(2, p.lane+1); this.input.r=false; this.audio.playSfx('swipe'); }
-    
-    const targetX = this.lanes[p.lane];
-    p.x += (targetX - p.x) * 18 * dt;
-
-    // --- GROUND PHYSICS ---
-    const pRealZ = -this.world.position.z; 
-    let groundY = 0;
-    
-    for(const o of this.obstacles) {
-        if(!o.isSolid) continue;
-        // X overlap check (Broad)
-        if(Math.abs(o.x - targetX) < 1.0) { 
-            
-            // RAMP LOGIC
-            // Ramp goes from Z (Start, Low) to Z-length (End, High).
-            if(o.type === 'ramp') {
-                // Determine if we are within the ramp's Z range
-                // Ramp Start: o.z + 4 (Nearest to camera)
-                // Ramp End: o.z - 4 (Farthest)
-                const startZ = o.z + 4;
-                const endZ = o.z - 4;
-                
-                if(pRealZ <= startZ && pRealZ >= endZ) {
-                    // Normalize position 0..1 (0 at start, 1 at end)
-                    const progress = (startZ - pRealZ) / 8.0; 
-                    const h = progress * 3.5;
-                    if(h > groundY) groundY = h;
-                }
-            }
-            
-            // TRAIN LOGIC
-            else if(o.type === 'train') {
-                const halfLen = o.d / 2;
-                const startZ = o.z + halfLen;
-                const endZ = o.z - halfLen;
-                
-                if(pRealZ <= startZ + 0.5 && pRealZ >= endZ - 0.5) {
-                    // Only snap to top if we are already high enough (jumped or ran up ramp)
-                    if(p.y >= 3.0) {
-                        groundY = 3.5; 
-                    }
-                }
-            }
+  _onSimEvent(type, data) {
+    if(this.missions && !this.replay) this.missions.track(type, data, this.sim);
+    switch(type) {
+      case 'spawn':
+        this._addView(data);
+        if(data.kind === 'chunk') this.events.emit('chunk', data);
+        break;
+      case 'despawn': this._removeView(data); break;
+      case 'collect':
+        if(data.kind === 'coin') {
+          this.coinView.remove(data);
+          this.audio.playAt('coin', { x: data.x, y: data.y, z: data.z + this.world.position.z });
+          this.events.emit('coin', { coin: data, coins: this.sim.coinsCol });
         }
+        else { const m = this.views.get(data); if(m) m.visible = false; }
+        break;
+      // Horns and coins are played in the world from their trainWarning / collect events
+      case 'sfx': if(data !== 'horn' && data !== 'coin') this.audio.playSfx(data); break;
+      case 'trainWarning': this._warnTrain(data); break;
+      case 'zone': this._zoneBanner = { name: ZONES[data].name, until: this.sim.time + 3 }; break;
+      case 'boardUsed': if(!this.replay && this.onBoardUsed) this.onBoardUsed(); break;
+      case 'caught': this._catchPlayer(); this.events.emit('caught'); break;
+      case 'jump': case 'roll': case 'stumble': this.events.emit(type); break;
+      case 'lane': this.events.emit('laneChange', data); break;
+      case 'pattern': this.events.emit('pattern', data); break;
+      case 'gameover': this._gameOver(data); break;
     }
-    p.groundH = groundY;
+  }
 
-    // JUMP
-    if(this.input.j && p.y <= p.groundH + 0.2) {
-        p.vy = 13;
-        p.state = 'jump';
-        this.input.j = false;
-        this.audio.playSfx('jump');
+  // ---------------------------
+  // VIEW SYNC
+  // ---------------------------
+  _syncView(dt, alpha) {
+    const sim = this.sim;
+    const p = sim.p;
+    const prev = this._prev;
+    const lerp = (a, b) => a + (b - a) * alpha;
+    const x = lerp(prev.x, p.x);
+
+    this.world.position.z = lerp(prev.worldZ, sim.worldZ);
+    this.audio.setMusicSpeed(p.speed); // Tempo and layers follow the run
+    this.chaserRig.root.position.z = lerp(prev.chaserDist, sim.chaserDist);
+    this.chaserRig.root.position.x += (x - this.chaserRig.root.position.x) * 5 * dt;
+
+    if(sim.state === 'running') {
+        const y = lerp(prev.y, p.y);
+        const targetX = LANES[p.lane];
+        this.playerRig.root.position.set(x, y, 0);
+        this.playerRig.root.rotation.z = (x - targetX) * -0.12;
+        this.playerRig.root.visible = (p.invuln > 0 || p.grace > 0) ? Math.floor(performance.now() / 100) % 2 === 0 : true;
+
+        // Camera
+        const camY = 5 + y * 0.6;
+        const camX = x * 0.4;
+        this.camera.position.y += (camY - this.camera.position.y) * 5 * dt;
+        this.camera.position.x += (camX - this.camera.position.x) * 5 * dt;
+
+        this.playerRig.jetpack.visible = !!p.powers.jetpack;
+        if(this.playerRig.backpack) this.playerRig.backpack.visible = !p.powers.jetpack;
+        this.playerRig.board.visible = p.board > 0;
+        this._animateChar(this.playerRig, p.state, dt, false);
+        this._animateChar(this.chaserRig, 'run', dt, true);
     }
+    else if(sim.state === 'caught') this._animateCatch(dt);
 
-    // DUCK / ROLL
-    if(this.input.d && p.state !== 'roll') {
-        p.state = 'roll';
-        p.rollTimer = 0.8;
-        if(p.y > p.groundH + 1) p.vy = -20; // Fast drop
-        this.input.d = false;
-        this.audio.playSfx('roll');
+    // Magnet-pulled coins move on their own
+    if(p.powers.magnet) for(const c of sim.coins) {
+        if(c.pulled && !c.collected) this.coinView.update(c);
     }
 
-    // GRAVITY
-    p.vy -= 40 * dt;
-    p.y += p.vy * dt;
+    // Track beyond the view distance isn't drawn (fog hides the edge)
+    const far = this.world.position.z + this._viewDist;
+    for(const [e, m] of this.views) {
+      if(e.collected) continue;
+      const half = e.kind === 'chunk' ? CHUNK_LEN/2 : (e.d || 0) / 2;
+      m.visible = -(e.z + half) < far; // Near edge within range
+    }
 
-    // Landing
-    if(p.y < p.groundH) {
-        p.y = p.groundH;
-        p.vy = 0;
-        if(p.state === 'jump') p.state = 'run';
+    // Moving trains
+    for(const [o, z] of prev.movers) {
+        const m = this.views.get(o);
+        if(m) m.position.z = lerp(z, o.z);
     }
 
-    if(p.state === 'roll') {
-        p.rollTimer -= dt;
-        if(p.rollTimer <= 0) p.state = 'run';
+    const spin = performance.now() * 0.003;
+    for(const u of sim.pickups) {
+        const m = this.views.get(u);
+        if(m) m.rotation.y = spin;
+    }
+    for(const e of sim.extras) {
+        const m = this.views.get(e);
+        if(!m) continue;
+        m.position.set(e.x, e.y, e.z);
+        const type = this._entityTypes.get(e.kind);
+        if(type.sync) type.sync(e, m, dt);
     }
 
-    // Visuals
-    this.playerRig.root.position.set(p.x, p.y, 0);
-    this.playerRig.root.rotation.z = (p.x - targetX) * -0.12;
+    // Daylight fades in and out with the zone under the player
+    const here = sim.chunks.find(c => Math.abs(c.z - sim.playerZ) <= CHUNK_LEN/2);
+    const light = here && !here.transition ? ZONES[here.zone].look.light : 1;
+    this._zoneLight += (light - this._zoneLight) * Math.min(1, 2 * dt);
 
-    this._checkCollisions(pRealZ);
+    this._syncSky();
+    this._syncHeadlights();
+    this._syncTunnelLamps();
+    this._syncAudio(dt);
+    if(this.weather.particles) this.weatherView.update(dt, sim.state === 'running' ? p.speed : 0);
 
-    // Camera
-    const camY = 5 + p.y * 0.6;
-    const camX = p.x * 0.4;
-    this.camera.position.y += (camY - this.camera.position.y) * 5 * dt;
-    this.camera.position.x += (camX - this.camera.position.x) * 5 * dt;
+    if(this.ghost) this._syncGhost(dt, alpha);
+    if(this.hitboxView.visible) this.hitboxView.update(sim, this.views, this.playerRig.root.position);
+  }
 
-    this._animateChar(this.playerRig, p.state, dt, false);
-    this._animateChar(this.chaserRig, 'run', dt, true);
+  // Sky, lights and window glow for the time of day
+  _syncSky() {
+    const phase = this.timeOfDay in TIMES_OF_DAY ? TIMES_OF_DAY[this.timeOfDay]
+                : DAY_START + (this.sim ? this.sim.time : 0) / DAY_LENGTH;
+    const s = skyAt(phase, this.weather);
+    this.renderer.setClearColor(s.sky, 1);
+    this.scene.fog.color.setHex(s.sky);
+    this.sun.color.setHex(s.sun);
+    this.sun.intensity = s.sunIntensity * this._zoneLight;
+    const el = s.elevation * Math.PI / 180;
+    this.sun.position.set(Math.cos(el) * 35, Math.sin(el) * 70, 20);
+    this.ambientLight.color.setHex(s.ambient);
+    this.ambientLight.intensity = s.ambientIntensity * this._zoneLight;
+    this.mat.building.emissiveIntensity = s.night;
+    this._night = s.night;
   }
 
-  _checkCollisions(pRealZ) {
-    if(this.p.invuln > 0) {
-        this.playerRig.root.visible = Math.floor(performance.now() / 100) % 2 === 0;
-        return; 
+  // Headlight beams go to the nearest drawn trains ahead that face the player
+  _syncHeadlights() {
+    const ahead = [];
+    if(this._night > 0) for(const o of this.sim.obstacles) {
+        const m = this.views.get(o);
+        if(o.type !== 'train' || o.vz < 0 || !m || !m.visible) continue;
+        const front = this.world.position.z + m.position.z + o.d/2; // Scene z, player at 0
+        if(front < 0) ahead.push({ m, front });
     }
-    this.playerRig.root.visible = true;
-
-    const p = this.p;
-    for(const o of this.obstacles) {
-        // Broad phase
-        if(Math.abs(o.z - pRealZ) > o.d/2 + 0.5) continue;
-        if(Math.abs(o.x - p.x) > o.w/2 + 0.2) continue;
-
-        let hit = false;
-        
-        if(o.isSolid) {
-            // Check if we hit the FACE of the object (didn't land on top)
-            if(p.y < o.h - 0.5) hit = true;
-        } else {
-            // Barrier Logic
-            if(o.type === 'low' && p.y < 1.0) hit = true; // Tripped
-            if(o.type === 'high' && p.y > 1.5 && p.state !== 'roll') hit = true; // Bonk head
-        }
+    ahead.sort((a, b) => b.front - a.front);
+    this.headlights.forEach((spot, i) => {
+        const t = ahead[i];
+        spot.intensity = t ? this._night * 30 : 0;
+        if(!t) return;
+        spot.position.set(t.m.position.x, 0.8, t.front + 0.3);
+        spot.target.position.set(t.m.position.x, 0, t.front + 20);
+    });
+  }
 
-        if(hit) {
-            if(this.chaserDist < 2.0) this._catchPlayer(); 
-            else this._stumble();
-            return;
-        }
+  // Tunnel lamps go to the drawn tunnel chunks closest to the player
+  _syncTunnelLamps() {
+    const near = [];
+    for(const c of this.sim.chunks) {
+        const m = this.views.get(c);
+        if(c.zone !== 'tunnel' || c.transition || !m || !m.visible) continue;
+        near.push({ m, z: this.world.position.z + m.position.z }); // Scene z, player at 0
     }
+    near.sort((a, b) => Math.abs(a.z) - Math.abs(b.z));
+    this.tunnelLamps.forEach((lamp, i) => {
+        const t = near[i];
+        lamp.intensity = t ? 1 : 0;
+        if(t) lamp.position.set(0, 6, t.z);
+    });
+  }
 
-    // Coins
-    for(const c of this.coins) {
-        if(c.collected) continue;
-        if(Math.abs(c.z - pRealZ) < 1.2 && Math.abs(c.x - p.x) < 0.8 && Math.abs(p.y - c.y) < 1.5) {
-            c.collected = true;
-            c.mesh.visible = false;
-            this.coinsCol++;
-            this.score += 50;
-            this.audio.playSfx('coin');
-        }
+  // World sounds: listener on the camera, trains rumbling from their nearest
+  // end, the chaser's footsteps and a whistle when they close in
+  _syncAudio(dt) {
+    const sim = this.sim;
+    this.audio.placeListener(this.camera);
+    for(const [o, loop] of this.rumbles) this.audio.moveLoop(loop, this._trainSoundPos(o));
+
+    if(!this.chaserRig.root.visible || sim.state === 'gameover') return;
+    const chaser = this.chaserRig.root.position;
+    this._stepClock -= dt;
+    if(this._stepClock <= 0) {
+        this._stepClock = 0.3;
+        this.audio.playAt('step', chaser);
     }
+    if(sim.chaserDist < 2.5) {
+        if(!this._whistled) this.audio.playAt('whistle', { x: chaser.x, y: 1.8, z: chaser.z });
+        this._whistled = true;
+    } else if(sim.chaserDist > 3.5) this._whistled = false;
+  }
+
+  // Point of a train closest to the player, in scene space
+  _trainSoundPos(o) {
+    const m = this.views.get(o);
+    const z = this.world.position.z + m.position.z;
+    return { x: m.position.x, y: 1.5, z: Math.min(Math.max(0, z - o.d/2), z + o.d/2) };
   }
 
-  _stumble() {
-      this.audio.playSfx('crash');
-      this.p.invuln = 1.0; 
-      // Recover fast: only minor speed drop
-      this.p.speed *= 0.7; 
-      this.p.vy = 5; 
+  _stopRumbles() {
+    this.rumbles.forEach(loop => this.audio.stopLoop(loop));
+    this.rumbles.clear();
+  }
+
+  _syncGhost(dt, alpha) {
+    const sim = this.sim;
+    const g = this.ghost.at(sim.steps - 1 + alpha);
+    const distance = this.world.position.z; // Interpolated player distance
+    const rig = this.ghostRig;
+
+    if(sim.state === 'running') this._ghostDelta = Math.round(distance - g.distance);
+    rig.root.visible = !g.done;
+    if(g.done) return;
+    rig.root.position.set(g.x, g.y, -(g.distance - distance));
+    this._animateChar(rig, g.state, dt, false);
   }
 
   _catchPlayer() {
       this.state = 'caught';
-      this.p.speed = 0;
-      this.audio.stopMusic();
-      this.audio.playSfx('crash');
-      
+      this.playerRig.root.visible = true;
+      this.audio.stinger();
+
       this.camera.position.set(2, 3, 6);
       this.camera.lookAt(0, 1, 0);
+  }
+
+  _gameOver(data) {
+      this.state = 'gameover';
+      this._stopRumbles();
+      const result = { score: data.score, coins: data.coins, distance: data.distance };
 
-      setTimeout(() => {
-          this.state = 'gameover';
-          const s = Math.floor(this.score);
-          if(s > this.getHighScore()) this.setHighScore(s);
-          if(this.onGameOver) this.onGameOver({ reason: "BUSTED!", score:s, coins:this.coinsCol, isNewHigh: (s>this.getHighScore()) });
-      }, 1500);
+      let isNewHigh = false, missions = null;
+      if(this.replay) {
+          const expected = this.replay.log.result;
+          if(expected && expected.score !== result.score) console.warn("Replay diverged from the recorded run", expected, result);
+      } else {
+          this.lastReplay = { ...this.input.stopRecording(), result };
+          isNewHigh = data.score > this.getHighScore();
+          if(isNewHigh) this.setHighScore(data.score);
+          if(this.missions) missions = this.missions.endRun(this.sim);
+      }
+      this.events.emit('runEnd', { ...result, seed: data.seed, isNewHigh, replay: !!this.replay });
+      if(this.onGameOver) this.onGameOver({ reason: "BUSTED!", ...data, difficulty: difficultyId(this.sim.settings.difficulty),
+                                            isNewHigh, missions, replay: !!this.replay });
   }
 
   // ---------------------------
@@ -588,8 +1003,9 @@ export class Game {
     } 
     else if(state === 'roll') {
        // Proper crouch/slide animation
-       rig.hip.position.y = -0.4; // Lower body
-       rig.hip.rotation.x = -0.4; // Lean forward slightly
+       // Low enough to fit the roll hitbox (hitbox.js)
+       rig.hip.position.y = -0.6; // Lower body
+       rig.hip.rotation.x = -0.5; // Lean forward
        
        // Legs forward (slide)
        rig.legL.rotation.x = -1.2; 
@@ -615,232 +1031,614 @@ export class Game {
   }
 
   // ---------------------------
-  // WORLD GENERATION
+  // WORLD VIEWS
   // ---------------------------
-  _spawnChunk(z, hasBuildings, isTunnel) {
-    const group = new THREE.Group();
-
-    // Floor
-    const g = new THREE.Mesh(new THREE.PlaneGeometry(18, this.chunkLen), this.mat.ground);
-    g.rotation.x = -Math.PI/2;
-    g.position.set(0, 0, z);
-    g.receiveShadow = true;
-    group.add(g);
-
-    // Tracks
-    this.lanes.forEach(lx => {
-        const r1 = new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.15, this.chunkLen), this.mat.rail);
-        r1.position.set(lx-0.4, 0.05, z);
-        group.add(r1);
-        const r2 = r1.clone();
-        r2.position.set(lx+0.4, 0.05, z);
-        group.add(r2);
-        
-        for(let j=-this.chunkLen/2; j<this.chunkLen/2; j+=1.5) {
-            const s = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.1, 0.4), this.mat.sleeper);
-            s.position.set(lx, 0.02, z + j);
-            group.add(s);
-        }
-    });
-
-    // Buildings
-    if(hasBuildings && !isTunnel) {
-        [-9, 9].forEach(bx => {
-            const h = 10 + Math.random()*15;
-            const b = new THREE.Mesh(new THREE.BoxGeometry(6, h, this.chunkLen), this.mat.building);
-            b.position.set(bx, h/2, z);
-            group.add(b);
-        });
+  // Meshes are pooled per kind and reused when the sim spawns a new entity, so a
+  // long run allocates nothing once the pools are warm. Coins are slots in one
+  // InstancedMesh.
+  _addView(e) {
+    if(e.kind === 'coin') { this.coinView.add(e); return; }
+    const key = this._poolKey(e);
+    const free = this.pools.get(key);
+    let mesh = free && free.pop();
+    if(e.kind === 'chunk') mesh = this._buildChunk(e, mesh);
+    else if(e.kind === 'pickup') mesh = this._buildPickup(e, mesh);
+    else if(this._entityTypes.has(e.kind)) {
+      mesh = this._entityTypes.get(e.kind).build(e, mesh, THREE);
+      mesh.position.set(e.x, e.y, e.z);
     }
+    else if(e.type === 'train') mesh = this._buildTrain(e, mesh);
+    else if(e.type === 'ramp') mesh = this._buildRamp(e, mesh);
+    else mesh = this._buildBarrier(e, mesh);
+
+    mesh.visible = true;
+    this.trackGroup.add(mesh);
+    this.views.set(e, mesh);
+  }
+
+  _removeView(e) {
+    if(e.kind === 'coin') { this.coinView.remove(e); return; }
+    const mesh = this.views.get(e);
+    if(!mesh) return;
+    this.trackGroup.remove(mesh);
+    this.views.delete(e);
+    if(this.rumbles.has(e)) { this.audio.stopLoop(this.rumbles.get(e)); this.rumbles.delete(e); }
+    const key = this._poolKey(e);
+    if(!this.pools.has(key)) this.pools.set(key, []);
+    this.pools.get(key).push(mesh);
+  }
+
+  // Chunks pool per zone, and gates between zones share one pool
+  _poolKey(e) {
+    if(e.kind === 'chunk') return `chunk:${e.transition ? 'gate' : e.zone}`;
+    return (e.kind === 'obstacle') ? e.type : e.kind;
+  }
 
-    // Tunnel
-    if(isTunnel) {
-        const tunnelGeo = new THREE.CylinderGeometry(9, 9, this.chunkLen, 16, 1, true, 0, Math.PI);
-        const tunnel = new THREE.Mesh(tunnelGeo, this.mat.tunnel);
-        tunnel.rotation.y = Math.PI/2; // Orient along Z
-        tunnel.rotation.z = Math.PI/2; // Rotate arch
-        // Cylinder oriented along Y default. 
-        // We want length along Z. -> Rot X 90?
-        // Let's rely on Box for walls and simple Plane for roof if Cylinder is tricky.
-        // Actually Cylinder is fine:
-        // Cylinder vertical. Rot X=90 -> Horizontal along Z.
-        tunnel.rotation.set(Math.PI/2, 0, 0); // Along Z
-        // Open ended? CylinderGeometry(radiusTop, radiusBottom, height...)
-        // Top/Bot open. 
-        // We want Arch. ThetaStart 0, Length PI.
-        // If Rot X 90, the "Side" is the arch.
-        tunnel.position.set(0, 0, z);
-        tunnel.scale.set(1, 1, 1); // Radius 9 covers lanes
-        group.add(tunnel);
-        
-        // Dim lights inside tunnel
-        const light = new THREE.PointLight(0xffaa00, 1.0, 20);
-        light.position.set(0, 6, z);
-        group.add(light);
+  // Geometry shared by every pooled mesh. Trains are stretched to length.
+  _initGeometry() {
+    const rampGeo = new THREE.BoxGeometry(2.2, 0.2, 8.5);
+    rampGeo.translate(0, 0, -4.25); // Pivot at the foot of the ramp
+    this.geo = {
+      floor: new THREE.PlaneGeometry(18, CHUNK_LEN),
+      rail: new THREE.BoxGeometry(0.15, 0.15, CHUNK_LEN),
+      sleeper: new THREE.BoxGeometry(1.6, 0.1, 0.4),
+      building: new THREE.BoxGeometry(6, 1, CHUNK_LEN),
+      // Zone props
+      deck: new THREE.PlaneGeometry(11, CHUNK_LEN),
+      girder: new THREE.BoxGeometry(11, 1.2, CHUNK_LEN),
+      railing: new THREE.BoxGeometry(0.15, 1.1, CHUNK_LEN),
+      pillar: new THREE.BoxGeometry(2, 30, 2),
+      water: new THREE.PlaneGeometry(200, CHUNK_LEN),
+      yardFloor: new THREE.PlaneGeometry(34, CHUNK_LEN),
+      pole: new THREE.BoxGeometry(0.3, 10, 0.3),
+      lampHead: new THREE.BoxGeometry(1.2, 0.4, 0.6),
+      pier: new THREE.BoxGeometry(8, 14, 2),
+      lintel: new THREE.BoxGeometry(34, 5, 2),
+      abutment: new THREE.BoxGeometry(12, 30, 4),
+      gantryPost: new THREE.BoxGeometry(0.5, 8, 0.5),
+      gantryBeam: new THREE.BoxGeometry(16, 0.6, 0.6),
+      // Open half-cylinder (theta 0..PI) laid along Z forms the arch
+      tunnel: new THREE.CylinderGeometry(9, 9, CHUNK_LEN, 16, 1, true, 0, Math.PI),
+      trainBody: new THREE.BoxGeometry(2.3, 3.5, 1),
+      trainRoof: new THREE.BoxGeometry(2.4, 0.2, 1),
+      trainLight: new THREE.CylinderGeometry(0.3, 0.3, 0.2),
+      ramp: rampGeo,
+      rampSupport: new THREE.BoxGeometry(2, 3.5, 0.5),
+      // Barriers are sized from their hitboxes
+      post: new THREE.BoxGeometry(HIGH_BARRIER.post, HIGH_BARRIER.h, HIGH_BARRIER.d),
+      highBar: new THREE.BoxGeometry(HIGH_BARRIER.w, HIGH_BARRIER.h - HIGH_BARRIER.barY, HIGH_BARRIER.d),
+      lowBar: new THREE.BoxGeometry(LOW_BARRIER.w, LOW_BARRIER.h, LOW_BARRIER.d),
+      pickup: new THREE.OctahedronGeometry(0.55),
+      coin: new THREE.CylinderGeometry(0.35, 0.35, 0.1, 12),
+    };
+  }
+
+  // Each zone's chunk is built once with all its props; buildings (and a gate's
+  // two sides) are set again every time a pooled chunk is reused
+  _buildChunk({ z, zone, transition, buildings }, group) {
+    if(!group) group = transition ? this._buildGate() : this._buildZone(zone);
+
+    const { towers, sides } = group.userData;
+    if(towers) towers.forEach((b, i) => {
+        const spec = buildings[i];
+        b.visible = !!spec;
+        if(!spec) return;
+        b.scale.y = spec.h;
+        b.position.set(spec.x, spec.h/2, 0);
+    });
+    // Gate: the zone left behind dresses the near edge, the zone ahead the far edge
+    if(sides) for(const id in sides) {
+        const near = sides[id][0], far = sides[id][1];
+        near.visible = transition.from === id;
+        far.visible = transition.to === id;
     }
-    
-    this.trackGroup.add(group);
-    this.chunks.push({ group, z });
+    group.position.set(0, 0, z);
+    return group;
   }
 
-  _spawnPattern(z) {
-      const type = Math.random();
-      const lane = Math.floor(Math.random()*3);
-      
-      if(type < 0.25) { // Single Train + Coins
-          this._spawnTrain(this.lanes[lane], z, 12); // Length 12
-          this._spawnCoins(this.lanes[(lane+1)%3], z, 5, 0);
-      } 
-      else if(type < 0.45) { // Long Train (Jumpable)
-          this._spawnTrain(this.lanes[lane], z, 24); // Length 24
-          // Coins ON TOP of train
-          this._spawnCoins(this.lanes[lane], z, 8, 3.8);
+  // Floor and tracks: rails and sleepers are the same in every chunk
+  _buildTrack(floorMat, floorGeo = this.geo.floor, lanes = LANES) {
+      const group = new THREE.Group();
+      const floor = new THREE.Mesh(floorGeo, floorMat);
+      floor.rotation.x = -Math.PI/2;
+      floor.receiveShadow = true;
+      group.add(floor);
+
+      const sleeperZ = [];
+      for(let j=-CHUNK_LEN/2; j<CHUNK_LEN/2; j+=1.5) sleeperZ.push(j);
+      const rails = new THREE.InstancedMesh(this.geo.rail, this.mat.rail, lanes.length * 2);
+      const sleepers = new THREE.InstancedMesh(this.geo.sleeper, this.mat.sleeper, lanes.length * sleeperZ.length);
+      const m = new THREE.Matrix4();
+      lanes.forEach((lx, l) => {
+          rails.setMatrixAt(l*2, m.makeTranslation(lx-0.4, 0.05, 0));
+          rails.setMatrixAt(l*2 + 1, m.makeTranslation(lx+0.4, 0.05, 0));
+          sleeperZ.forEach((j, i) => sleepers.setMatrixAt(l*sleeperZ.length + i, m.makeTranslation(lx, 0.02, j)));
+      });
+      group.add(rails, sleepers);
+      return group;
+  }
+
+  _buildZone(zone) {
+      const look = ZONES[zone].look;
+      const group = new THREE.Group();
+      let towers = null;
+
+      if(zone === 'bridge') {
+        // Deck over water on pillars, with railings
+        group.add(this._buildTrack(this.mat[look.floor], this.geo.deck));
+        const girder = new THREE.Mesh(this.geo.girder, this.mat.steel);
+        girder.position.y = -0.61;
+        group.add(girder);
+        [-5.5, 5.5].forEach(x => {
+            const rail = new THREE.Mesh(this.geo.railing, this.mat.steel);
+            rail.position.set(x, 0.55, 0);
+            const pillar = new THREE.Mesh(this.geo.pillar, this.mat.concrete);
+            pillar.position.set(x * 0.7, -16, 0);
+            group.add(rail, pillar);
+        });
+        const water = new THREE.Mesh(this.geo.water, this.mat.water);
+        water.rotation.x = -Math.PI/2;
+        water.position.y = -30;
+        group.add(water);
+      } else if(zone === 'yard') {
+        // Wide gravel bed with sidings, sheds and a floodlight
+        group.add(this._buildTrack(this.mat[look.floor], this.geo.yardFloor, [...LANES, -7.5, 7.5]));
+        const pole = new THREE.Mesh(this.geo.pole, this.mat.steel);
+        pole.position.set(-9.5, 5, 0);
+        const head = new THREE.Mesh(this.geo.lampHead, this.mat.lamp);
+        head.position.set(-9.1, 10, 0);
+        group.add(pole, head);
+      } else {
+        group.add(this._buildTrack(this.mat[look.floor]));
       }
-      else if(type < 0.65) { // Ramp + Train
-          // Ramp at z+5, Train at z-8
-          this._spawnRamp(this.lanes[lane], z + 6); 
-          this._spawnTrain(this.lanes[lane], z - 8, 12); 
-      } 
-      else { // Barriers
-          const l2 = (lane + 1) % 3;
-          this._spawnBarrier(this.lanes[lane], z + 5, Math.random()>0.5?'low':'high');
-          this._spawnBarrier(this.lanes[l2], z - 5, 'low');
-          this._spawnCoins(this.lanes[lane], z - 5, 3, 0);
+
+      if(zone === 'tunnel') {
+        // Open half-cylinder along Z, radius 9 covers lanes, dimly lit
+        const tunnel = new THREE.Mesh(this.geo.tunnel, this.mat[look.walls]);
+        tunnel.rotation.set(Math.PI/2, 0, 0);
+        // The light itself comes from the tunnelLamps pool
+        const lamp = new THREE.Mesh(this.geo.lampHead, this.mat.lamp);
+        lamp.position.set(0, 8.7, 0);
+        group.add(tunnel, lamp);
       }
+
+      // Buildings either side (scaled to height per chunk)
+      if(ZONES[zone].buildings) {
+        towers = [0, 1].map(() => new THREE.Mesh(this.geo.building, this.mat[look.walls]));
+        group.add(...towers);
+      }
+
+      group.userData = { towers };
+      return group;
   }
 
-  _spawnTrain(x, z, length) {
-      const grp = new THREE.Group();
-      
-      const body = new THREE.Mesh(new THREE.BoxGeometry(2.3, 3.5, length), this.mat.trainBody);
-      body.position.y = 1.75;
-      body.castShadow = true;
-      grp.add(body);
-      
-      const roof = new THREE.Mesh(new THREE.BoxGeometry(2.4, 0.2, length+0.2), this.mat.trainRoof);
-      roof.position.y = 3.6;
-      grp.add(roof);
-
-      // Lights
-      const light = new THREE.Mesh(new THREE.CylinderGeometry(0.3,0.3,0.2), new THREE.MeshBasicMaterial({color:0xffffaa}));
-      light.rotation.x = Math.PI/2;
-      light.position.set(0.6, 0.8, length/2); // Front
-      grp.add(light);
-      
-      const light2 = light.clone();
-      light2.position.set(-0.6, 0.8, length/2);
-      grp.add(light2);
+  // Gate between two zones: plain concrete, with a tunnel portal, bridge
+  // abutment or yard gantry at whichever edge meets that zone
+  _buildGate() {
+      const group = new THREE.Group();
+      group.add(this._buildTrack(this.mat.concrete));
+
+      const portal = () => {
+          const g = new THREE.Group();
+          const left = new THREE.Mesh(this.geo.pier, this.mat.concrete);
+          left.position.set(-13, 7, 0);
+          const right = left.clone(); right.position.x = 13;
+          const lintel = new THREE.Mesh(this.geo.lintel, this.mat.concrete);
+          lintel.position.y = 11.5;
+          g.add(left, right, lintel);
+          return g;
+      };
+      const abutment = () => {
+          const block = new THREE.Mesh(this.geo.abutment, this.mat.concrete);
+          block.position.y = -15.01;
+          return block;
+      };
+      const gantry = () => {
+          const g = new THREE.Group();
+          [-7.5, 7.5].forEach(x => {
+              const post = new THREE.Mesh(this.geo.gantryPost, this.mat.steel);
+              post.position.set(x, 4, 0);
+              g.add(post);
+          });
+          const beam = new THREE.Mesh(this.geo.gantryBeam, this.mat.steel);
+          beam.position.y = 7.7;
+          g.add(beam);
+          return g;
+      };
+
+      // zone id -> [near edge, far edge]
+      const sides = {};
+      for(const [id, make] of [['tunnel', portal], ['bridge', abutment], ['yard', gantry]]) {
+          sides[id] = [CHUNK_LEN/2, -CHUNK_LEN/2].map(edge => {
+              const prop = make();
+              prop.position.z = edge;
+              group.add(prop);
+              return prop;
+          });
+      }
+      group.userData = { sides };
+      return group;
+  }
 
-      grp.position.set(x, 0, z);
-      this.trackGroup.add(grp);
-      this.obstacles.push({ mesh:grp, type:'train', x, z, w:2.3, h:3.5, d:length, isSolid:true });
+  // Headlights flare up when a moving train starts rolling
+  _warnTrain(o) {
+      const m = this.views.get(o);
+      if(!m) return;
+      const pos = this._trainSoundPos(o);
+      this.audio.playAt('horn', pos);
+      const loop = this.audio.startLoop('rumble', pos, 0.8 + Math.abs(o.vz) / 50);
+      if(loop) this.rumbles.set(o, loop);
+      const mat = o.vz < 0 ? this.mat.taillightOn : this.mat.headlightOn;
+      m.userData.lights.forEach(l => { l.material = mat; l.scale.setScalar(1.6); });
   }
 
-  _spawnRamp(x, z) {
-      const grp = new THREE.Group();
-      
-      // Slope: Box rotated to form incline
-      // Start (z+4) at y=0. End (z-4) at y=3.5.
-      // Pivot at Start.
-      const ramp = new THREE.Mesh(new THREE.BoxGeometry(2.2, 0.2, 8.5), this.mat.ramp);
-      ramp.position.z = -4.25; // Pivot offset
-      
-      const pivot = new THREE.Group();
-      pivot.add(ramp);
-      pivot.rotation.x = 0.45; // Slope Up
-      
-      // Place pivot at Start of ramp (Z + 4)
-      pivot.position.z = 4;
-      grp.add(pivot);
+  _buildTrain({ x, z, d: length, vz }, grp) {
+      if(!grp) {
+        grp = new THREE.Group();
+
+        const body = new THREE.Mesh(this.geo.trainBody, this.mat.trainBody);
+        body.position.y = 1.75;
+        body.castShadow = true;
+
+        const roof = new THREE.Mesh(this.geo.trainRoof, this.mat.trainRoof);
+        roof.position.y = 3.6;
+
+        const light = new THREE.Mesh(this.geo.trainLight, this.mat.headlight);
+        light.rotation.x = Math.PI/2;
+        const light2 = light.clone();
+        grp.add(body, roof, light, light2);
+        grp.userData = { body, roof, lights: [light, light2] };
+      }
 
-      // Support
-      const supp = new THREE.Mesh(new THREE.BoxGeometry(2, 3.5, 0.5), this.mat.trainRoof);
-      supp.position.set(0, 1.75, -4);
-      grp.add(supp);
+      const { body, roof, lights } = grp.userData;
+      body.scale.z = length;
+      roof.scale.z = length + 0.2;
+      // Lights at the front (red tail lights on trains driving away from the player)
+      lights.forEach((l, i) => {
+        l.material = vz < 0 ? this.mat.taillight : this.mat.headlight;
+        l.scale.setScalar(1);
+        l.position.set(i ? -0.6 : 0.6, 0.8, length/2);
+      });
+
+      grp.position.set(x, 0, z);
+      return grp;
+  }
+
+  _buildRamp({ x, z }, grp) {
+      if(!grp) {
+        grp = new THREE.Group();
+
+        // Slope: Box rotated to form incline
+        // Start (z+4) at y=0. End (z-4) at y=3.5.
+        const ramp = new THREE.Mesh(this.geo.ramp, this.mat.ramp);
+        ramp.rotation.x = 0.45; // Slope Up
+        ramp.position.z = 4; // Pivot at Start of ramp (Z + 4)
+        grp.add(ramp);
+
+        // Support
+        const supp = new THREE.Mesh(this.geo.rampSupport, this.mat.trainRoof);
+        supp.position.set(0, 1.75, -4);
+        grp.add(supp);
+      }
 
       grp.position.set(x, 0, z); // z is center of 8 unit ramp
-      this.trackGroup.add(grp);
-      this.obstacles.push({ mesh:grp, type:'ramp', x, z, w:2.2, h:3.5, d:8, isSolid:true });
+      return grp;
   }
 
-  _spawnBarrier(x, z, type) {
-      let m;
-      if(type==='high') {
+  _buildBarrier({ x, z, type }, m) {
+      if(!m && type==='high') {
+          const { w, h, barY, post } = HIGH_BARRIER;
           m = new THREE.Group();
-          const p1 = new THREE.Mesh(new THREE.BoxGeometry(0.3,3.5,0.3), this.mat.trainRoof);
-          p1.position.set(-0.9, 1.75, 0);
-          const p2 = p1.clone(); p2.position.set(0.9, 1.75, 0);
-          const top = new THREE.Mesh(new THREE.BoxGeometry(2.1, 0.8, 0.3), this.mat.barrier);
-          top.position.y = 3.0;
+          const p1 = new THREE.Mesh(this.geo.post, this.mat.trainRoof);
+          p1.position.set(-(w - post)/2, h/2, 0);
+          const p2 = p1.clone(); p2.position.x = (w - post)/2;
+          const top = new THREE.Mesh(this.geo.highBar, this.mat.barrier);
+          top.position.y = (barY + h) / 2;
           m.add(p1,p2,top);
-      } else {
-          m = new THREE.Mesh(new THREE.BoxGeometry(2, 1.2, 0.3), this.mat.barrier);
-          m.position.y = 0.6;
+          m.castShadow = true;
+      } else if(!m) {
+          // Low barrier: raised to sit on the ground inside a group so placement is uniform
+          m = new THREE.Group();
+          const bar = new THREE.Mesh(this.geo.lowBar, this.mat.barrier);
+          bar.position.y = LOW_BARRIER.h / 2;
+          bar.castShadow = true;
+          m.add(bar);
       }
       m.position.set(x, 0, z);
-      m.castShadow = true;
-      this.trackGroup.add(m);
-      this.obstacles.push({ mesh:m, type, x, z, w:2, h:type==='high'?3.2:1.2, d:0.5, isSolid:false });
-  }
-
-  _spawnCoins(x, z, num, yOff) {
-      const y = 1.2 + (yOff||0);
-      for(let i=0; i<num; i++) {
-          const c = new THREE.Mesh(new THREE.CylinderGeometry(0.35,0.35,0.1,12), this.mat.coin);
-          c.rotation.x = Math.PI/2;
-          c.position.set(x, y, z - i*2.0);
-          this.trackGroup.add(c);
-          this.coins.push({ mesh:c, x, y, z: z-i*2.0, collected:false });
+      return m;
+  }
+
+  _buildPickup({ x, y, z, type }, m) {
+      if(!m) {
+        m = new THREE.Mesh(this.geo.pickup, this.mat.pickup[type]);
+        m.castShadow = true;
       }
+      m.material = this.mat.pickup[type];
+      m.position.set(x, y + 0.3, z);
+      return m;
   }
 }
 
+// Every coin on the track drawn as one InstancedMesh. Live coins fill slots
+// 0..count-1; removing one moves the last coin into its slot.
+class CoinInstances {
+    constructor(parent, geo, mat, capacity = 256) {
+        this.parent = parent;
+        this.geo = geo;
+        this.mat = mat;
+        this.slots = new Map(); // coin -> slot
+        this.coins = [];        // slot -> coin
+        this._m = new THREE.Matrix4();
+        this._q = new THREE.Quaternion().setFromEuler(new THREE.Euler(Math.PI/2, 0, 0)); // Face the player
+        this._one = new THREE.Vector3(1, 1, 1);
+        this._p = new THREE.Vector3();
+        this._alloc(capacity);
+    }
+
+    _alloc(capacity) {
+        const old = this.mesh;
+        this.capacity = capacity;
+        this.mesh = new THREE.InstancedMesh(this.geo, this.mat, capacity);
+        this.mesh.frustumCulled = false; // Instances span the whole track
+        this.mesh.count = this.coins.length;
+        if(old) {
+            this.mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+            this.parent.remove(old);
+            old.dispose();
+        }
+        this.parent.add(this.mesh);
+    }
+
+    add(c) {
+        if(this.coins.length === this.capacity) this._alloc(this.capacity * 2);
+        const i = this.coins.length;
+        this.coins.push(c);
+        this.slots.set(c, i);
+        this.mesh.count = this.coins.length;
+        this.update(c);
+    }
+
+    update(c) {
+        const i = this.slots.get(c);
+        if(i === undefined) return;
+        this.mesh.setMatrixAt(i, this._m.compose(this._p.set(c.x, c.y, c.z), this._q, this._one));
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    remove(c) {
+        const i = this.slots.get(c);
+        if(i === undefined) return;
+        const last = this.coins.pop();
+        this.slots.delete(c);
+        if(last !== c) {
+            this.coins[i] = last;
+            this.slots.set(last, i);
+            this.mesh.getMatrixAt(this.coins.length, this._m);
+            this.mesh.setMatrixAt(i, this._m);
+        }
+        this.mesh.count = this.coins.length;
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    clear() {
+        this.coins.length = 0;
+        this.slots.clear();
+        this.mesh.count = 0;
+    }
+}
+
+// Collision boxes as wireframes, drawn over everything. Obstacle boxes come
+// straight from hitbox.js each frame; line objects are reused between frames.
+const HITBOX_RANGE = 60; // Only boxes this far ahead (or behind) of the player
+
+class HitboxView {
+    constructor(scene, world) {
+        this.geo = { box: boxEdges(false), slope: boxEdges(true) };
+        this.mat = {
+            player: new THREE.LineBasicMaterial({ color: 0x33ff66, depthTest: false }),
+            obstacle: new THREE.LineBasicMaterial({ color: 0xff3355, depthTest: false }),
+        };
+        this.player = new THREE.LineSegments(this.geo.box, this.mat.player);
+        this.group = new THREE.Group();
+        this.lines = [];
+        scene.add(this.player);
+        world.add(this.group);
+        this.setVisible(false);
+    }
+
+    setVisible(on) {
+        this.visible = on;
+        this.player.visible = on;
+        this.group.visible = on;
+    }
+
+    // pos: where the player rig is drawn. Moving trains use their mesh's z, which is interpolated.
+    update(sim, views, pos) {
+        const pb = playerBox(sim.p, 0);
+        this.player.position.set(pos.x, pos.y, 0);
+        this.player.scale.set(pb.w, pb.h, pb.d);
+
+        let n = 0;
+        for(const o of sim.obstacles) {
+            if(Math.abs(o.z - sim.playerZ) > o.d/2 + HITBOX_RANGE) continue;
+            const m = views.get(o);
+            const dz = m ? m.position.z - o.z : 0;
+            for(const b of obstacleBoxes(o)) {
+                let line = this.lines[n++];
+                if(!line) {
+                    line = new THREE.LineSegments(this.geo.box, this.mat.obstacle);
+                    this.lines.push(line);
+                    this.group.add(line);
+                }
+                line.geometry = b.slope ? this.geo.slope : this.geo.box;
+                line.position.set(b.x, b.y, b.z + dz);
+                line.scale.set(b.w, b.h, b.d);
+                line.visible = true;
+            }
+        }
+        for(let i=n; i<this.lines.length; i++) this.lines[i].visible = false;
+    }
+}
+
+// Edges of a unit box with its origin at the centre of the bottom face, like
+// hitbox.js boxes. slope: the near (+z) top edge is down on the floor (ramps).
+function boxEdges(slope) {
+    const corner = (i) => [i & 1 ? 0.5 : -0.5, (i & 2) && !(slope && (i & 4)) ? 1 : 0, i & 4 ? 0.5 : -0.5];
+    const pts = [];
+    for(let i=0; i<8; i++) for(const bit of [1, 2, 4]) if(!(i & bit)) pts.push(...corner(i), ...corner(i | bit));
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.Float32BufferAttribute(pts, 3));
+    return geo;
+}
+
+// Rain or snow: drops in a box around the player that fall, sway and stream
+// past at running speed, wrapping round when they leave the box
+const WEATHER_BOX = { w: 30, h: 20, near: 10, far: -80 };
+const WEATHER_CAPACITY = 2000; // Drops drawn at the highest quality tier
+
+class WeatherView {
+    constructor(scene) {
+        const rng = new Rng(2);
+        const b = WEATHER_BOX;
+        this.pos = new Float32Array(WEATHER_CAPACITY * 3);
+        for(let i=0; i<WEATHER_CAPACITY; i++) {
+            this.pos[i*3] = (rng.next() - 0.5) * b.w;
+            this.pos[i*3 + 1] = rng.next() * b.h;
+            this.pos[i*3 + 2] = b.far + rng.next() * (b.near - b.far);
+        }
+        this.geo = new THREE.BufferGeometry();
+        this.geo.setAttribute('position', new THREE.BufferAttribute(this.pos, 3));
+        this.mat = new THREE.PointsMaterial({ size: 0.1, transparent: true, opacity: 0.7, depthWrite: false });
+        this.points = new THREE.Points(this.geo, this.mat);
+        this.points.frustumCulled = false; // Always around the camera
+        this.points.visible = false;
+        this.weather = WEATHER.clear;
+        this.count = 0;
+        this._t = 0;
+        scene.add(this.points);
+    }
+
+    setWeather(w) {
+        this.weather = w;
+        this.points.visible = !!w.particles;
+        if(!w.particles) return;
+        this.mat.color.setHex(w.color);
+        this.mat.size = w.size;
+    }
+
+    setCount(n) {
+        this.count = Math.min(n, WEATHER_CAPACITY);
+        this.geo.setDrawRange(0, this.count);
+    }
+
+    update(dt, speed) {
+        const { fall, drift } = this.weather;
+        const b = WEATHER_BOX, pos = this.pos;
+        this._t += dt;
+        for(let i=0; i<this.count; i++) {
+            const k = i*3;
+            pos[k] += Math.sin(this._t + i) * drift * dt;
+            pos[k + 1] -= fall * dt;
+            pos[k + 2] += speed * dt;
+            if(pos[k] > b.w/2) pos[k] -= b.w; else if(pos[k] < -b.w/2) pos[k] += b.w;
+            if(pos[k + 1] < 0) pos[k + 1] += b.h;
+            if(pos[k + 2] > b.near) pos[k + 2] -= b.near - b.far;
+        }
+        this.geo.attributes.position.needsUpdate = true;
+    }
+}
+
 class InputManager {
-    constructor(cvs) { this.reset(); this._touch(cvs); }
-    reset() { this.l=false; this.r=false; this.j=false; this.d=false; }
-    left() { this.l=true; } right() { this.r=true; }
-    up() { this.j=true; } down() { this.d=true; }
+    constructor(cvs) {
+        this.reset();
+        this.enabled = true;
+        this.recording = null;
+        this.clock = () => 0; // Current sim step, stamped on recorded inputs
+        this._touch(cvs);
+    }
+    reset() { this.l=false; this.r=false; this.j=false; this.d=false; this.b=false; }
+    left() { this.press('L'); } right() { this.press('R'); }
+    up() { this.press('J'); } down() { this.press('D'); }
+    board() { this.press('B'); }
+    press(code) { if(!this.enabled) return; this.record(code); this.apply(code); }
+    apply(code) { const f = ACTION_FLAGS[code]; if(f) this[f] = true; }
+
+    startRecording(meta) { this.recording = { ...meta, inputs: [] }; }
+    record(code) { if(this.recording) this.recording.inputs.push([this.clock(), code]); }
+    stopRecording() { const r = this.recording; this.recording = null; return r; }
     _touch(el) {
-        let sx, sy;
+        let sx, sy, lastTap = 0;
         el.addEventListener('touchstart', e => { sx=e.touches[0].clientX; sy=e.touches[0].clientY; }, {passive:true});
         el.addEventListener('touchend', e => {
             const dx = e.changedTouches[0].clientX - sx;
             const dy = e.changedTouches[0].clientY - sy;
             if(Math.abs(dx)>Math.abs(dy)) { if(Math.abs(dx)>30) dx>0?this.right():this.left(); }
             else { if(Math.abs(dy)>30) dy>0?this.down():this.up(); }
+            // Double-tap (two taps without a swipe) activates the hoverboard
+            if(Math.max(Math.abs(dx), Math.abs(dy)) <= 30) {
+                const now = performance.now();
+                if(now - lastTap < 300) { this.board(); lastTap = 0; } else lastTap = now;
+            }
         }, {passive:true});
     }
 }
 
 class AudioManager {
-    constructor() { this.ctx=null; this.vol=0.6; }
-    unlock() { if(!this.ctx) this.ctx=new(window.AudioContext||window.webkitAudioContext)(); if(this.ctx.state==='suspended') this.ctx.resume(); }
-    setVolume(v) { this.vol = v; }
-    startMusic() {
+    constructor() {
+        this.ctx=null; this.vol=0.6; this.musicVol=0.5; this.musicOn=false;
+        this._pos=new THREE.Vector3(); this._dir=new THREE.Vector3();
+    }
+    unlock() {
+        if(!this.ctx) {
+            this.ctx=new(window.AudioContext||window.webkitAudioContext)();
+            // Separate buses so music and effects have their own volume
+            this.sfxBus=this.ctx.createGain(); this.sfxBus.connect(this.ctx.destination);
+            this.musicBus=this.ctx.createGain(); this.musicBus.connect(this.ctx.destination);
+            this.music=new Sequencer(this.ctx, this.musicBus);
+            this.worldBus=this.ctx.createGain(); this.worldBus.connect(this.sfxBus);
+            this.sfx=new SfxBank(this.ctx, this.sfxBus);
+            this.sfx.load();
+            this._applyVolumes();
+        }
+        if(this.ctx.state==='suspended') this.ctx.resume();
+    }
+    setVolume(sfx, music) { this.vol = sfx; this.musicVol = music; if(this.ctx) this._applyVolumes(); }
+    _applyVolumes() {
+        this.sfxBus.gain.setTargetAtTime(this.vol, this.ctx.currentTime, 0.02);
+        this.musicBus.gain.setTargetAtTime(this.musicVol, this.ctx.currentTime, 0.02);
+    }
+    startMusic() { if(this.ctx && this.musicOn) { this.music.stop(); this.music.start(); } }
+    stopMusic() { if(this.ctx) this.music.stop(); }
+    get musicPlaying() { return !!this.music && this.music.playing; }
+    pauseMusic() { if(this.ctx) this.music.pause(); }
+    resumeMusic() { if(this.ctx) this.music.resume(); }
+    setMusicSpeed(speed) { if(this.ctx) this.music.setSpeed(speed); }
+    stinger() { if(this.musicPlaying) this.music.stinger(); }
+    playSfx(name) { if(this.ctx) this.sfx.play(name); }
+
+    // World sounds go through panners placed relative to the listener (the
+    // camera), via their own bus so pausing can hush them
+    placeListener(camera) {
         if(!this.ctx) return;
-        this.stopMusic();
-        this.int = setInterval(() => {
-            if(this.ctx.state==='running') {
-               this._tone(100,'square',0.1,0.15); 
-               setTimeout(()=>this._tone(800,'triangle',0.05,0.05), 200); 
-            }
-        }, 400);
+        camera.getWorldPosition(this._pos);
+        camera.getWorldDirection(this._dir);
+        placeListener(this.ctx.listener, this._pos, this._dir, camera.up);
     }
-    stopMusic() { clearInterval(this.int); }
-    playSfx(t) {
+    // One-shot sound at a scene position
+    playAt(name, pos) {
         if(!this.ctx) return;
-        if(t==='jump') this._tone(400,'sine',0.2,0.1);
-        if(t==='roll') this._tone(200,'sine',0.2,0.1);
-        if(t==='swipe') this._tone(600,'triangle',0.05,0.05);
-        if(t==='coin') { this._tone(1200,'sine',0.1,0.1); setTimeout(()=>this._tone(1800,'sine',0.1,0.1),80); }
-        if(t==='crash') this._tone(100,'sawtooth',0.5,0.3);
-    }
-    _tone(f,t,d,v) {
-        const o=this.ctx.createOscillator(); const g=this.ctx.createGain();
-        o.type=t; o.frequency.value=f;
-        g.gain.setValueAtTime(v*this.vol, this.ctx.currentTime);
-        g.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime+d);
-        o.connect(g); g.connect(this.ctx.destination);
-        o.start(); o.stop(this.ctx.currentTime+d);
+        const panner = createPanner(this.ctx, this.worldBus);
+        placePanner(panner, pos);
+        this.sfx.play(name, { out: panner });
+    }
+    // Looping sound that follows a source (moveLoop each frame): returns { voice, panner } or null
+    startLoop(name, pos, rate) {
+        if(!this.ctx) return null;
+        const panner = createPanner(this.ctx, this.worldBus);
+        placePanner(panner, pos);
+        return { voice: this.sfx.play(name, { out: panner, rate }), panner };
     }
+    moveLoop(loop, pos) { placePanner(loop.panner, pos); }
+    stopLoop(loop) { loop.voice.stop(); loop.panner.disconnect(); }
+    muteWorld(muted) { if(this.ctx) this.worldBus.gain.setTargetAtTime(muted ? 0 : 1, this.ctx.currentTime, 0.1); }
 }
\ No newline at end of file
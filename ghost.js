@@ -0,0 +1,56 @@
+import { RunSim, STEP } from "./sim.js";
+import { replayFeeder } from "./replay.js";
+
+// Ghost path is rebuilt from a replay log by re-simulating it headlessly, so a
+// stored best run is just its replay. The re-simulation runs alongside the live
+// run, only as far ahead as the ghost is drawn, so a long best run doesn't stall
+// the start of a race.
+const SAMPLE_EVERY = 6; // Steps between samples (10 Hz)
+const MAX_STEPS = 60 * 60 * 30;
+
+export function buildGhost(log, patterns) {
+  return new Ghost(new RunSim({ seed: log.seed, settings: log.settings, patterns }), replayFeeder(log));
+}
+
+export class Ghost {
+  constructor(sim, feed) {
+    this.sim = sim;
+    this.feed = feed;
+    this.frames = [];
+  }
+
+  // Steps the ghost's run until frame i is sampled or the run is over
+  _fill(i) {
+    const sim = this.sim;
+    while(this.frames.length <= i && sim.state === 'running' && sim.steps < MAX_STEPS) {
+      if(sim.steps % SAMPLE_EVERY === 0) {
+        const p = sim.p;
+        this.frames.push({ distance: sim.distance, lane: p.lane, x: p.x, y: p.y, state: p.state });
+      }
+      this.feed(sim);
+      sim.step(STEP);
+    }
+  }
+
+  // Interpolated ghost pose at a (fractional) sim step
+  at(step) {
+    const frames = this.frames;
+    const f = Math.max(step, 0) / SAMPLE_EVERY;
+    const i = Math.floor(f);
+    this._fill(i + 1);
+    if(i >= frames.length - 1) {
+      const last = frames[frames.length - 1];
+      return { ...last, done: i >= frames.length };
+    }
+    const a = frames[i], b = frames[i + 1];
+    const t = f - i;
+    return {
+      distance: a.distance + (b.distance - a.distance) * t,
+      lane: b.lane,
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t,
+      state: a.state,
+      done: false
+    };
+  }
+}
@@ -0,0 +1,46 @@
+// Collision boxes, shared by RunSim and the hitbox debug view so what you see is
+// what gets hit. A box is { x, y, z, w, h, d }: x/z its centre, y its bottom,
+// w across the track and d along it. A ramp's box has slope set: its top rises
+// from 0 at the near end (+z) to h at the far end.
+
+export const STEP_UP = 0.5; // Meeting a solid top this close below it puts you on it instead of into it
+
+// Player box per state. Rolling ducks under a high bar; a jump tucks the legs up.
+export const PLAYER_BOXES = {
+  run:  { w: 0.6, h: 2.0, d: 0.5 },
+  jump: { w: 0.6, h: 1.8, d: 0.5 },
+  roll: { w: 0.6, h: 1.3, d: 0.9 },
+};
+
+// Barrier sizes (the view builds its meshes from these too)
+export const LOW_BARRIER = { w: 2, h: 1.2, d: 0.3 };
+export const HIGH_BARRIER = { w: 2.1, h: 2.3, d: 0.3, barY: 1.5, post: 0.3 }; // Bar from barY up to h on two posts
+
+export function playerBox(p, z) {
+  const s = PLAYER_BOXES[p.state] || PLAYER_BOXES.run;
+  return { x: p.x, y: p.y, z, w: s.w, h: s.h, d: s.d };
+}
+
+export function obstacleBoxes(o) {
+  if(o.type === 'high') {
+    const { barY, post } = HIGH_BARRIER;
+    const postX = (o.w - post) / 2;
+    return [
+      { x: o.x, y: barY, z: o.z, w: o.w, h: o.h - barY, d: o.d },
+      { x: o.x - postX, y: 0, z: o.z, w: post, h: o.h, d: o.d },
+      { x: o.x + postX, y: 0, z: o.z, w: post, h: o.h, d: o.d },
+    ];
+  }
+  return [{ x: o.x, y: 0, z: o.z, w: o.w, h: o.h, d: o.d, slope: o.type === 'ramp' }];
+}
+
+// Height of a box's top at track position z
+export function topAt(b, z) {
+  if(!b.slope) return b.y + b.h;
+  const t = (b.z + b.d/2 - z) / b.d;
+  return b.y + b.h * Math.min(1, Math.max(0, t));
+}
+
+export const overlapX = (a, b) => Math.abs(a.x - b.x) < (a.w + b.w) / 2;
+export const overlapZ = (a, b) => Math.abs(a.z - b.z) < (a.d + b.d) / 2;
+export const overlapY = (a, b, top = b.y + b.h) => a.y < top && a.y + a.h > b.y;
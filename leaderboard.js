@@ -0,0 +1,93 @@
+// Leaderboards share one async interface so the UI doesn't care where scores live:
+//   submit(entry)            -> { id, rank }   entry: { name, score, coins, distance, date, seed, difficulty }
+//   top(limit, difficulty)   -> [entry + { id, rank }], best first
+//   around(id, range)        -> the entries up to `range` places either side of id
+// Each difficulty (difficultyId) is ranked on its own: the same seed builds a
+// different track on each, so only runs on the same one compare.
+// LocalLeaderboard keeps the list wherever load/save put it (the profile in the
+// browser, memory in mock-leaderboard.mjs). HttpLeaderboard talks to a server
+// exposing the same calls over JSON.
+
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from "./difficulty.js";
+
+export const LOCAL_LIMIT = 50; // Per difficulty
+
+// Entries saved before difficulties existed were Normal runs
+const difficultyOf = (e) => e.difficulty || DEFAULT_DIFFICULTY;
+
+// Higher score first; ties go to whoever got there first
+const compare = (a, b) => (b.score - a.score) || (a.date - b.date);
+
+export class LocalLeaderboard {
+  constructor({ load, save, limit = LOCAL_LIMIT }) {
+    this.load = load;
+    this.save = save;
+    this.limit = limit;
+  }
+
+  _ranked(difficulty) {
+    return this.load().filter(e => difficultyOf(e) === difficulty).sort(compare).map((e, i) => ({ ...e, rank: i + 1 }));
+  }
+
+  async submit(entry) {
+    const list = this.load();
+    const id = `${entry.date.toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+    const difficulty = difficultyOf(entry);
+    const added = { id, name: entry.name, score: entry.score, coins: entry.coins, distance: entry.distance, date: entry.date, seed: entry.seed, difficulty };
+    const sorted = [...list, added].sort(compare);
+    const rank = sorted.filter(e => difficultyOf(e) === difficulty).indexOf(added) + 1;
+    // Keep the best `limit` of each difficulty
+    const counts = {};
+    const kept = sorted.filter(e => (counts[difficultyOf(e)] = (counts[difficultyOf(e)] || 0) + 1) <= this.limit);
+    this.save(kept);
+    return { id: rank <= this.limit ? id : null, rank };
+  }
+
+  async top(limit = 10, difficulty = DEFAULT_DIFFICULTY) {
+    return this._ranked(difficulty).slice(0, limit);
+  }
+
+  // Around an entry on its own difficulty's board
+  async around(id, range = 3) {
+    const entry = this.load().find(e => e.id === id);
+    if(!entry) return [];
+    const ranked = this._ranked(difficultyOf(entry));
+    const i = ranked.findIndex(e => e.id === id);
+    return ranked.slice(Math.max(0, i - range), i + range + 1);
+  }
+}
+
+// POST {url}/scores, GET {url}/scores?limit=, GET {url}/scores/{id}/around?range=
+export class HttpLeaderboard {
+  constructor(url) {
+    this.url = url.replace(/\/$/, '');
+  }
+
+  async _request(path, options) {
+    let res;
+    try { res = await fetch(`${this.url}${path}`, options); }
+    catch(e) { throw new Error(`Leaderboard unreachable at ${this.url} (${e.message})`); }
+    if(!res.ok) throw new Error(`Leaderboard ${path}: HTTP ${res.status}`);
+    return res.json();
+  }
+
+  submit(entry) {
+    return this._request('/scores', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(entry) });
+  }
+
+  top(limit = 10, difficulty = DEFAULT_DIFFICULTY) {
+    return this._request(`/scores?limit=${limit}&difficulty=${encodeURIComponent(difficulty)}`);
+  }
+
+  around(id, range = 3) {
+    return this._request(`/scores/${encodeURIComponent(id)}/around?range=${range}`);
+  }
+}
+
+// Checks an entry from an untrusted source (the mock server's POST body)
+export function validEntry(e) {
+  return !!e && typeof e.name === 'string' && e.name.length > 0 && e.name.length <= 24 &&
+    [e.score, e.coins, e.distance, e.date].every(v => Number.isFinite(v) && v >= 0) &&
+    (typeof e.seed === 'number' || typeof e.seed === 'string') &&
+    (e.difficulty === 'custom' || Object.hasOwn(DIFFICULTIES, e.difficulty));
+}
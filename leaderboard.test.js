@@ -0,0 +1,55 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { HttpLeaderboard } from "./leaderboard.js";
+import { DIFFICULTIES } from "./difficulty.js";
+import { createMockServer } from "./mock-leaderboard.mjs";
+
+// HttpLeaderboard against the mock server, on a free port
+let server, board;
+before(async () => {
+  server = createMockServer().listen(0);
+  await once(server, 'listening');
+  board = new HttpLeaderboard(`http://localhost:${server.address().port}/`);
+});
+after(() => server.close());
+
+const DIFFICULTY_IDS = [...Object.keys(DIFFICULTIES), 'custom'];
+const entry = (name, score, difficulty) => ({ name, score, coins: 10, distance: score / 10, date: 1000 + score, seed: 42, difficulty });
+
+test("submit, top and around work on every difficulty", async () => {
+  for(const difficulty of DIFFICULTY_IDS) {
+    const ids = {};
+    for(const score of [300, 100, 500, 200, 400]) {
+      const { id, rank } = await board.submit(entry(`${difficulty}-${score}`, score, difficulty));
+      assert.ok(id, `${difficulty} ${score} got no id`);
+      assert.ok(rank >= 1);
+      ids[score] = id;
+    }
+
+    const top = await board.top(3, difficulty);
+    assert.deepEqual(top.map(e => e.score), [500, 400, 300], difficulty);
+    assert.deepEqual(top.map(e => e.rank), [1, 2, 3], difficulty);
+    assert.ok(top.every(e => e.difficulty === difficulty), difficulty);
+
+    const around = await board.around(ids[300], 1);
+    assert.deepEqual(around.map(e => e.score), [400, 300, 200], difficulty);
+  }
+});
+
+test("each difficulty is ranked on its own", async () => {
+  // Tops every board filled above, but only Hard's
+  const { rank } = await board.submit(entry('hard-best', 900, 'hard'));
+  assert.equal(rank, 1);
+  assert.equal((await board.top(1, 'hard'))[0].name, 'hard-best');
+  for(const difficulty of DIFFICULTY_IDS.filter(d => d !== 'hard')) {
+    const top = await board.top(10, difficulty);
+    assert.equal(top[0].score, 500, difficulty);
+    assert.ok(top.every(e => e.difficulty === difficulty), difficulty);
+  }
+});
+
+test("the server turns away bad entries", async () => {
+  await assert.rejects(board.submit(entry('', 100, 'normal')), /HTTP 400/);
+  await assert.rejects(board.submit(entry('nobody', 100, 'impossible')), /HTTP 400/);
+});
@@ -1,11 +1,21 @@
 import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.161.0/build/three.module.js";
 import { Game } from "./game.js";
+import { REPLAY_VERSION, parseReplay, replayFileName } from "./replay.js";
+import { loadPatterns } from "./patterns.js";
+import { MissionTracker, DAILY_REWARD } from "./missions.js";
+import { SKINS, OUTFITS } from "./skins.js";
+import { ACTIONS, resolveBindings, rebind, inputName } from "./controls.js";
+import { LocalLeaderboard, HttpLeaderboard } from "./leaderboard.js";
+import { DIFFICULTIES, parseDifficulty, validateDifficulty } from "./difficulty.js";
+import { loadProfile, saveProfile, serializeProfile, parseProfile, profileFileName } from "./profile.js";
 
 // DOM Elements
 const canvas = document.getElementById("c");
 const ui = {
     menu: document.getElementById("menu"),
     settings: document.getElementById("settings"),
+    shop: document.getElementById("shop"),
+    leaderboard: document.getElementById("leaderboard"),
     hud: document.getElementById("hud"),
     pause: document.getElementById("pause"),
     gameover: document.getElementById("gameover"),
@@ -20,97 +30,536 @@ const ui = {
     btnQuit: document.getElementById("btnQuit"),
     btnAgain: document.getElementById("btnAgain"),
     btnMenu: document.getElementById("btnMenu"),
+    btnRaceGhost: document.getElementById("btnRaceGhost"),
+    btnImportReplay: document.getElementById("btnImportReplay"),
+    btnSaveReplay: document.getElementById("btnSaveReplay"),
+    btnExportReplay: document.getElementById("btnExportReplay"),
+    btnWatchReplay: document.getElementById("btnWatchReplay"),
+    replayFile: document.getElementById("replayFile"),
+    btnBuyBoard: document.getElementById("btnBuyBoard"),
+    btnDaily: document.getElementById("btnDaily"),
+    btnShop: document.getElementById("btnShop"),
+    btnShopBack: document.getElementById("btnShopBack"),
+    btnLeaderboard: document.getElementById("btnLeaderboard"),
+    boardDifficulty: document.getElementById("boardDifficulty"),
+    btnBoardBack: document.getElementById("btnBoardBack"),
+    btnBoardTop: document.getElementById("btnBoardTop"),
+    btnBoardAround: document.getElementById("btnBoardAround"),
 
     // Values
+    loadError: document.getElementById("loadError"),
     highScore: document.getElementById("highScoreValue"),
+    wallet: document.getElementById("walletValue"),
+    boards: document.getElementById("boardsValue"),
+    missionList: document.getElementById("missionList"),
+    dailyInfo: document.getElementById("dailyInfo"),
+    missionsDone: document.getElementById("missionsDone"),
+    shopWallet: document.getElementById("shopWallet"),
+    shopSkins: document.getElementById("shopSkins"),
+    shopOutfits: document.getElementById("shopOutfits"),
+    boardSource: document.getElementById("boardSource"),
+    playerName: document.getElementById("playerName"),
+    scoreRows: document.getElementById("scoreRows"),
+    boardError: document.getElementById("boardError"),
+    finalRank: document.getElementById("finalRank"),
+    hudBoards: document.getElementById("hudBoards"),
     score: document.getElementById("hudScore"),
     coins: document.getElementById("hudCoins"),
+    replayTag: document.getElementById("hudReplay"),
+    ghost: document.getElementById("hudGhost"),
+    powers: document.getElementById("hudPowers"),
+    zone: document.getElementById("hudZone"),
     
     // Settings
     volume: document.getElementById("volume"),
     quality: document.getElementById("quality"),
-    music: document.getElementById("musicToggle")
+    timeOfDay: document.getElementById("timeOfDay"),
+    weather: document.getElementById("weather"),
+    difficulty: document.getElementById("difficulty"),
+    difficultyCustom: document.getElementById("difficultyCustom"),
+    btnLoadDifficulty: document.getElementById("btnLoadDifficulty"),
+    difficultyFile: document.getElementById("difficultyFile"),
+    music: document.getElementById("musicToggle"),
+    musicVolume: document.getElementById("musicVolume"),
+    debug: document.getElementById("debugToggle"),
+    hitboxes: document.getElementById("hitboxToggle"),
+    inputBuffer: document.getElementById("inputBuffer"),
+    coyoteTime: document.getElementById("coyoteTime"),
+    hudDebug: document.getElementById("hudDebug"),
+    btnExportProfile: document.getElementById("btnExportProfile"),
+    btnImportProfile: document.getElementById("btnImportProfile"),
+    profileFile: document.getElementById("profileFile"),
+    controls: document.getElementById("controls"),
+    btnResetControls: document.getElementById("btnResetControls")
 };
 
-// State Management
-const getHigh = () => Number(localStorage.getItem('metroHigh') || 0);
+// ?seed=81723&difficulty=hard replays a specific track (bug reports, score
+// comparisons); the same seed builds a different track on each difficulty
+const urlSeed = new URLSearchParams(location.search).get('seed');
+const startSeed = (urlSeed === null || urlSeed === '') ? undefined : (isFinite(urlSeed) ? Number(urlSeed) : urlSeed);
+const urlDifficulty = new URLSearchParams(location.search).get('difficulty');
+const startDifficulty = Object.hasOwn(DIFFICULTIES, urlDifficulty) ? urlDifficulty : undefined;
+const difficultyName = (id) => id === 'custom' ? 'Custom' : DIFFICULTIES[id].name;
+
+// State Management: everything persistent goes through the profile (profile.js)
+const { profile, warning: profileWarning } = loadProfile(localStorage);
+if(profileWarning) {
+    console.warn(profileWarning);
+    ui.loadError.innerText = profileWarning;
+    ui.loadError.classList.remove('hidden');
+}
+const save = () => saveProfile(localStorage, profile);
+
+const getHigh = () => profile.highScore;
 const setHigh = (v) => {
-    localStorage.setItem('metroHigh', v);
+    profile.highScore = v;
+    save();
     ui.highScore.innerText = v;
 };
 setHigh(getHigh());
 
+// Best run is kept as its replay; the ghost is rebuilt from it
+// (runs recorded by an older sim can't be re-simulated, so they don't count)
+const getBestRun = () => profile.bestRun && profile.bestRun.version === REPLAY_VERSION ? profile.bestRun : null;
+const setBestRun = (log) => { profile.bestRun = log; save(); };
+
+// Coins banked across runs, and hoverboards bought with them
+const BOARD_PRICE = 250;
+const getWallet = () => profile.wallet;
+const setWallet = (v) => {
+    profile.wallet = v;
+    save();
+    ui.wallet.innerText = ui.shopWallet.innerText = v;
+    ui.btnBuyBoard.disabled = v < BOARD_PRICE;
+};
+const getBoards = () => profile.boards;
+const setBoards = (v) => {
+    profile.boards = v;
+    save();
+    ui.boards.innerText = v;
+};
+setWallet(getWallet());
+setBoards(getBoards());
+
+// Cosmetics: owned skin ids per shop section and the equipped ones
+const getLooks = () => ({ ...profile.unlocks, ...profile.look });
+const setLooks = (v) => {
+    profile.unlocks = { skins: v.skins, outfits: v.outfits };
+    profile.look = { player: v.player, chaser: v.chaser };
+    save();
+};
+const SHOP = {
+    skins:   { items: SKINS,   equip: 'player', list: ui.shopSkins },
+    outfits: { items: OUTFITS, equip: 'chaser', list: ui.shopOutfits }
+};
+
+// Leaderboard: kept in the profile, or on a server with ?leaderboard=<url>
+// (try it with `node mock-leaderboard.mjs`)
+const boardUrl = new URLSearchParams(location.search).get('leaderboard');
+const leaderboard = boardUrl ? new HttpLeaderboard(boardUrl) : new LocalLeaderboard({
+    load: () => profile.leaderboard,
+    save: (list) => { profile.leaderboard = list; save(); }
+});
+let lastEntryId = null; // Most recent run that made the board, for "around me"
+
+const showScores = async (mode) => {
+    ui.btnBoardTop.classList.toggle('active', mode === 'top');
+    ui.btnBoardAround.classList.toggle('active', mode === 'around');
+    ui.btnBoardAround.disabled = !lastEntryId;
+    ui.boardError.classList.add('hidden');
+    let entries;
+    try { entries = mode === 'around' ? await leaderboard.around(lastEntryId, 3) : await leaderboard.top(10, ui.boardDifficulty.value); }
+    catch(e) {
+        ui.boardError.innerText = e.message;
+        ui.boardError.classList.remove('hidden');
+        entries = [];
+    }
+    // Built with textContent: names can come from other players
+    ui.scoreRows.replaceChildren(...entries.map(e => {
+        const tr = document.createElement('tr');
+        if(e.id === lastEntryId) tr.className = 'me';
+        const seedLink = document.createElement('a');
+        // Custom profiles can't go in a link; those open on the player's own difficulty
+        const difficulty = e.difficulty && e.difficulty !== 'custom' ? `&difficulty=${encodeURIComponent(e.difficulty)}` : '';
+        seedLink.href = `?seed=${encodeURIComponent(e.seed)}${difficulty}${boardUrl ? `&leaderboard=${encodeURIComponent(boardUrl)}` : ''}`;
+        seedLink.textContent = e.seed;
+        [e.rank, e.name, e.score, e.coins, e.distance, new Date(e.date).toLocaleDateString(), seedLink].forEach(v => {
+            const td = document.createElement('td');
+            td.append(v instanceof Node ? v : String(v));
+            tr.append(td);
+        });
+        return tr;
+    }));
+};
+
+const submitScore = async (data) => {
+    ui.finalRank.classList.add('hidden');
+    try {
+        const { id, rank } = await leaderboard.submit({
+            name: profile.name, score: data.score, coins: data.coins, distance: Math.floor(data.distance), date: Date.now(), seed: data.seed,
+            difficulty: data.difficulty
+        });
+        if(id) lastEntryId = id;
+        ui.boardDifficulty.value = data.difficulty;
+        ui.finalRank.innerText = `Rank #${rank}${boardUrl ? '' : ' on this device'}`;
+        ui.finalRank.classList.remove('hidden');
+    } catch(e) {
+        console.warn(e.message);
+    }
+};
+
+// Missions and the daily challenge; progress is saved after every live run
+const missions = new MissionTracker({
+    state: profile.missions || undefined,
+    save: (state) => { profile.missions = state; save(); }
+});
+const showMissions = () => {
+    ui.missionList.innerHTML = missions.active.map(m =>
+        `<li><span>${m.label}</span><span class="progress">${Math.min(m.progress, m.target)}/${m.target} · ${m.reward} 🪙</span></li>`
+    ).join('');
+    const d = missions.daily;
+    ui.dailyInfo.innerText = `Daily: score ${d.target} on today's track · best ${d.best}${d.claimed ? ' ✔' : ` · ${DAILY_REWARD} 🪙`}`;
+};
+showMissions();
+
+// Obstacle patterns are data; a broken file keeps the game from starting
+let patterns = null;
+try { patterns = await loadPatterns('patterns.json'); }
+catch(e) {
+    console.error(e.message);
+    ui.loadError.innerText = e.message;
+    ui.loadError.classList.remove('hidden');
+    ui.btnPlay.disabled = ui.btnDaily.disabled = ui.btnRaceGhost.disabled = ui.btnImportReplay.disabled = true;
+}
+
 // Initialize Game
 const game = new Game({
     THREE, 
     canvas,
+    patterns,
+    missions,
+    look: { player: getLooks().player, chaser: getLooks().chaser },
+    bindings: profile.bindings,
+    onPauseChange: (paused) => ui.pause.classList.toggle('hidden', !paused),
     getHighScore: getHigh,
     setHighScore: setHigh,
+    getBoards,
+    onBoardUsed: () => setBoards(Math.max(0, getBoards() - 1)),
     onHud: (data) => {
         ui.score.innerText = data.score;
         ui.coins.innerText = data.coins;
+        ui.hudBoards.innerText = data.boards;
+        if(data.ghostDelta == null) ui.ghost.classList.add('hidden');
+        else {
+            const ahead = data.ghostDelta >= 0;
+            ui.ghost.classList.remove('hidden');
+            ui.ghost.classList.toggle('ahead', ahead);
+            ui.ghost.classList.toggle('behind', !ahead);
+            ui.ghost.innerText = `👻 ${ahead ? '+' : ''}${data.ghostDelta}m`;
+        }
+        ui.zone.classList.toggle('hidden', !data.zone);
+        if(data.zone) ui.zone.innerText = data.zone;
+        ui.hudDebug.classList.toggle('hidden', !data.debug);
+        if(data.debug) ui.hudDebug.innerText = `${data.debug.fps} fps · ${data.debug.calls} draws · ${data.debug.triangles} tris · ${data.debug.tier}`;
+        ui.powers.innerHTML = data.powers.map(p =>
+            `<div class="power">${p.label} ${Math.ceil(p.left)}s<div class="bar"><div style="width:${100 * p.left / p.duration}%"></div></div></div>`
+        ).join('');
     },
     onGameOver: (data) => {
         switchPanel(ui.gameover);
         document.getElementById('finalScore').innerText = data.score;
         document.getElementById('finalCoins').innerText = data.coins;
         document.getElementById('gameOverReason').innerText = data.reason;
+        document.getElementById('finalSeed').innerText = data.seed;
+        document.getElementById('finalDifficulty').innerText = difficultyName(data.difficulty);
         
+        if(!data.replay) {
+            const stats = profile.stats;
+            stats.runs++;
+            stats.distance += data.distance;
+            stats.coins += data.coins;
+            stats.bestDistance = Math.max(stats.bestDistance, data.distance);
+            setWallet(getWallet() + data.coins + (data.missions ? data.missions.reward : 0));
+            submitScore(data);
+        } else {
+            ui.finalRank.classList.add('hidden');
+        }
+
+        const done = data.missions ? [
+            ...data.missions.completed.map(c => `✔ ${c.label} +${c.reward} 🪙`),
+            ...(data.missions.daily && data.missions.daily.reward ? [`✔ Daily challenge +${data.missions.daily.reward} 🪙`] : [])
+        ] : [];
+        ui.missionsDone.innerHTML = done.map(t => `<li>${t}</li>`).join('');
+        ui.missionsDone.classList.toggle('hidden', done.length === 0);
+        if(data.isNewHigh && game.lastReplay) setBestRun(game.lastReplay);
+
         const badge = document.getElementById('newHigh');
         if(data.isNewHigh) badge.classList.remove('hidden');
         else badge.classList.add('hidden');
     }
 });
 
+// Shop: buying a set equips it, owned sets can be equipped for free
+const showShop = () => {
+    const looks = getLooks();
+    for(const section in SHOP) {
+        const { items, equip, list } = SHOP[section];
+        list.innerHTML = Object.entries(items).map(([id, item]) => {
+            const owned = looks[section].includes(id) || item.price === 0;
+            const equipped = looks[equip] === id;
+            const status = equipped ? 'Equipped' : (owned ? 'Owned' : `${item.price} 🪙`);
+            const locked = !owned && getWallet() < item.price;
+            return `<button class="shopItem${equipped ? ' equipped' : ''}" data-section="${section}" data-id="${id}"${locked ? ' disabled' : ''}>` +
+                `<span class="swatch" style="background:${item.shirt};border-color:${item.pants}"></span>${item.name}<small>${status}</small></button>`;
+        }).join('');
+    }
+};
+
+const onShopClick = (e) => {
+    const btn = e.target.closest('.shopItem');
+    if(!btn || btn.disabled) return;
+    const { section, id } = btn.dataset;
+    const { items, equip } = SHOP[section];
+    const looks = getLooks();
+    if(!looks[section].includes(id)) {
+        const price = items[id].price;
+        if(getWallet() < price) return;
+        setWallet(getWallet() - price);
+        looks[section].push(id);
+    }
+    looks[equip] = id;
+    setLooks(looks);
+    game.setLook({ [equip]: id });
+    showShop();
+};
+ui.shopSkins.onclick = ui.shopOutfits.onclick = onShopClick;
+
 // UI Helper
 function switchPanel(target) {
-    [ui.menu, ui.settings, ui.hud, ui.pause, ui.gameover].forEach(p => p.classList.add('hidden'));
+    [ui.menu, ui.settings, ui.shop, ui.leaderboard, ui.hud, ui.pause, ui.gameover].forEach(p => p.classList.add('hidden'));
     if(target) target.classList.remove('hidden');
 }
 
 // Event Listeners
 ui.btnPlay.onclick = () => {
     switchPanel(ui.hud);
-    game.startRun();
+    ui.replayTag.classList.add('hidden');
+    game.startRun(startSeed, { difficulty: startDifficulty });
 };
 
-ui.btnSettings.onclick = () => switchPanel(ui.settings);
-ui.btnBack.onclick = () => switchPanel(ui.menu);
+ui.btnDaily.onclick = () => {
+    switchPanel(ui.hud);
+    ui.replayTag.classList.add('hidden');
+    game.startRun(null, { daily: true });
+};
+
+ui.btnRaceGhost.onclick = () => {
+    const best = getBestRun();
+    if(!best) return;
+    switchPanel(ui.hud);
+    ui.replayTag.classList.add('hidden');
+    game.startRun(null, { ghost: best });
+};
+
+ui.btnBuyBoard.onclick = () => {
+    if(getWallet() < BOARD_PRICE) return;
+    setWallet(getWallet() - BOARD_PRICE);
+    setBoards(getBoards() + 1);
+};
 
-ui.btnPause.onclick = () => {
-    game.pause();
-    ui.pause.classList.remove('hidden');
+ui.btnSettings.onclick = () => switchPanel(ui.settings);
+ui.btnBack.onclick = ui.btnShopBack.onclick = () => switchPanel(ui.menu);
+ui.btnLeaderboard.onclick = () => {
+    ui.boardSource.innerText = boardUrl ? boardUrl : 'This device';
+    ui.playerName.value = profile.name;
+    if(!lastEntryId) ui.boardDifficulty.value = ui.difficulty.value;
+    switchPanel(ui.leaderboard);
+    showScores('top');
+};
+ui.btnBoardBack.onclick = () => switchPanel(ui.menu);
+ui.btnBoardTop.onclick = () => showScores('top');
+ui.btnBoardAround.onclick = () => showScores('around');
+ui.boardDifficulty.onchange = () => showScores('top');
+ui.playerName.onchange = () => {
+    profile.name = ui.playerName.value.trim().slice(0, 24) || 'Runner';
+    ui.playerName.value = profile.name;
+    save();
 };
 
-ui.btnResume.onclick = () => {
-    game.resume();
-    ui.pause.classList.add('hidden');
+ui.btnShop.onclick = () => {
+    showShop();
+    switchPanel(ui.shop);
 };
 
+ui.btnPause.onclick = () => game.pause();
+ui.btnResume.onclick = () => game.resume();
+
 ui.btnRestart.onclick = ui.btnAgain.onclick = () => {
     switchPanel(ui.hud);
+    ui.replayTag.classList.add('hidden');
     game.restart();
 };
 
+// Replays
+ui.btnImportReplay.onclick = ui.btnWatchReplay.onclick = () => ui.replayFile.click();
+ui.replayFile.onchange = async () => {
+    const file = ui.replayFile.files[0];
+    ui.replayFile.value = '';
+    if(!file) return;
+    let log;
+    try { log = parseReplay(await file.text()); }
+    catch(e) { alert(e.message); return; }
+    switchPanel(ui.hud);
+    ui.replayTag.classList.remove('hidden');
+    game.startReplay(log);
+};
+
+ui.btnSaveReplay.onclick = ui.btnExportReplay.onclick = () => {
+    const log = game.lastReplay;
+    if(!log) return;
+    const url = URL.createObjectURL(new Blob([JSON.stringify(log)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = replayFileName(log);
+    a.click();
+    URL.revokeObjectURL(url);
+};
+
 ui.btnQuit.onclick = ui.btnMenu.onclick = () => {
     game.quitToMenu();
     switchPanel(ui.menu);
+    showMissions();
+    if(game.lastReplay) ui.btnExportReplay.classList.remove('hidden');
+    if(getBestRun()) ui.btnRaceGhost.classList.remove('hidden');
 };
 
 // Settings Listeners
 const updateSettings = () => {
     game.setAudioSettings({
         volume: parseFloat(ui.volume.value),
+        musicVolume: parseFloat(ui.musicVolume.value),
         musicEnabled: ui.music.checked
     });
     game.setQuality(ui.quality.value);
+    game.setDebug(ui.debug.checked);
+    game.setHitboxes(ui.hitboxes.checked);
+    game.setTimeOfDay(ui.timeOfDay.value);
+    game.setWeather(ui.weather.value);
+    game.setDifficulty(ui.difficulty.value === 'custom' ? profile.customDifficulty : ui.difficulty.value);
+    game.setInputTiming({ inputBuffer: parseFloat(ui.inputBuffer.value), coyoteTime: parseFloat(ui.coyoteTime.value) });
+    profile.settings = { volume: parseFloat(ui.volume.value), music: ui.music.checked, musicVolume: parseFloat(ui.musicVolume.value),
+                         quality: ui.quality.value, debug: ui.debug.checked, hitboxes: ui.hitboxes.checked, difficulty: ui.difficulty.value,
+                         timeOfDay: ui.timeOfDay.value, weather: ui.weather.value,
+                         inputBuffer: parseFloat(ui.inputBuffer.value), coyoteTime: parseFloat(ui.coyoteTime.value) };
+    save();
 };
 
+// Difficulty: a preset, or the custom profile last loaded from JSON. A saved
+// custom profile that no longer validates (edited by hand) is dropped.
+if(profile.customDifficulty) {
+    try { profile.customDifficulty = validateDifficulty(profile.customDifficulty); }
+    catch(e) { console.warn(e.message); profile.customDifficulty = null; }
+}
+const showDifficulty = () => {
+    const custom = profile.customDifficulty;
+    ui.difficultyCustom.disabled = !custom;
+    ui.difficultyCustom.textContent = custom ? `Custom: ${custom.name}` : 'Custom';
+    const chosen = profile.settings.difficulty;
+    ui.difficulty.value = (chosen === 'custom' ? custom : DIFFICULTIES[chosen]) ? chosen : 'normal';
+};
+showDifficulty();
+
+ui.btnLoadDifficulty.onclick = () => ui.difficultyFile.click();
+ui.difficultyFile.onchange = async () => {
+    const file = ui.difficultyFile.files[0];
+    ui.difficultyFile.value = '';
+    if(!file) return;
+    try { profile.customDifficulty = parseDifficulty(await file.text()); }
+    catch(e) { alert(e.message); return; }
+    profile.settings.difficulty = 'custom';
+    showDifficulty();
+    updateSettings();
+};
+
+ui.volume.value = profile.settings.volume;
+ui.music.checked = profile.settings.music;
+ui.musicVolume.value = profile.settings.musicVolume;
+ui.quality.value = profile.settings.quality;
+ui.debug.checked = profile.settings.debug;
+ui.hitboxes.checked = profile.settings.hitboxes;
+ui.inputBuffer.value = profile.settings.inputBuffer;
+ui.coyoteTime.value = profile.settings.coyoteTime;
+ui.timeOfDay.value = profile.settings.timeOfDay;
+ui.weather.value = profile.settings.weather;
 ui.volume.oninput = updateSettings;
 ui.music.onchange = updateSettings;
+ui.musicVolume.oninput = updateSettings;
 ui.quality.onchange = updateSettings;
+ui.debug.onchange = updateSettings;
+ui.hitboxes.onchange = updateSettings;
+ui.inputBuffer.oninput = updateSettings;
+ui.coyoteTime.oninput = updateSettings;
+ui.difficulty.onchange = updateSettings;
+ui.timeOfDay.onchange = updateSettings;
+ui.weather.onchange = updateSettings;
+
+// Controls: click a binding, then press the key or gamepad button to use
+const showControls = () => {
+    const bindings = resolveBindings(profile.bindings);
+    ui.controls.innerHTML = Object.entries(ACTIONS).map(([action, label]) =>
+        `<div class="control"><span>${label}</span>` +
+        ['keys', 'pad'].map(kind =>
+            `<button class="small" data-kind="${kind}" data-action="${action}">${bindings[kind][action].map(i => inputName(kind, i)).join(' / ') || '—'}</button>`
+        ).join('') + `</div>`
+    ).join('');
+};
+
+ui.controls.onclick = (e) => {
+    const btn = e.target.closest('button');
+    if(!btn) return;
+    const { kind, action } = btn.dataset;
+    btn.innerText = kind === 'pad' ? 'Press a button…' : 'Press a key…';
+    game.captureInput(kind, (input) => {
+        profile.bindings = rebind(profile.bindings, kind, action, input);
+        save();
+        game.setBindings(profile.bindings);
+        showControls();
+    });
+};
+
+ui.btnResetControls.onclick = () => {
+    profile.bindings = {};
+    save();
+    game.setBindings(profile.bindings);
+    showControls();
+};
+showControls();
+
+// Profile export/import, to move progress between devices or keep a backup
+ui.btnExportProfile.onclick = () => {
+    const url = URL.createObjectURL(new Blob([serializeProfile(profile)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = profileFileName();
+    a.click();
+    URL.revokeObjectURL(url);
+};
+
+ui.btnImportProfile.onclick = () => ui.profileFile.click();
+ui.profileFile.onchange = async () => {
+    const file = ui.profileFile.files[0];
+    ui.profileFile.value = '';
+    if(!file) return;
+    let imported;
+    try { imported = parseProfile(await file.text()); }
+    catch(e) { alert(e.message); return; }
+    if(!confirm(`Replace this device's progress with the imported profile (high score ${imported.highScore})?`)) return;
+    saveProfile(localStorage, imported);
+    location.reload();
+};
 
 // Initial Setup
+if(getBestRun()) ui.btnRaceGhost.classList.remove('hidden');
 updateSettings();
 switchPanel(ui.menu);
 window.onresize = () => game.resize();
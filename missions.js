@@ -0,0 +1,139 @@
+import { Rng, toSeed } from "./rng.js";
+
+// Missions are built from RunSim events. Three are active at a time; finishing
+// one pays out coins and draws a replacement. 'run' missions must be done within
+// a single run, 'total' ones add up across runs. Harder tiers pay more.
+export const MISSIONS = {
+  coinsRun:  { label: 'Collect {n} coins in one run',  stat: 'coins',     per: 'run',   targets: [50, 100, 150],      reward: 150 },
+  coins:     { label: 'Collect {n} coins',              stat: 'coins',     per: 'total', targets: [300, 600, 1000],    reward: 100 },
+  jumps:     { label: 'Jump {n} times',                 stat: 'jumps',     per: 'total', targets: [30, 60, 100],       reward: 100 },
+  rolls:     { label: 'Roll {n} times',                 stat: 'rolls',     per: 'total', targets: [20, 40, 80],        reward: 100 },
+  rollUnder: { label: 'Roll under {n} high barriers',   stat: 'rollUnder', per: 'total', targets: [5, 10, 20],         reward: 150 },
+  hurdles:   { label: 'Jump over {n} low barriers',     stat: 'hurdles',   per: 'total', targets: [5, 10, 20],         reward: 150 },
+  ramps:     { label: 'Run up {n} ramps',               stat: 'ramps',     per: 'total', targets: [3, 6, 10],          reward: 150 },
+  powerups:  { label: 'Pick up {n} power-ups',          stat: 'powerups',  per: 'total', targets: [3, 6, 10],          reward: 150 },
+  distance:  { label: 'Run {n} in one run',             stat: 'distance',  per: 'run',   targets: [500, 1000, 1500],   reward: 150, unit: 'm' },
+  clean:     { label: 'Run {n} without stumbling',      stat: 'clean',     per: 'run',   targets: [1000, 1500, 2000],  reward: 200, unit: 'm' },
+  score:     { label: 'Score {n} in one run',           stat: 'score',     per: 'run',   targets: [5000, 10000, 20000], reward: 200 },
+};
+
+export const ACTIVE_MISSIONS = 3;
+export const DAILY_REWARD = 500;
+
+const formatTarget = (n, unit) => unit === 'm' ? (n >= 1000 ? `${n/1000} km` : `${n} m`) : String(n);
+
+export function missionLabel(m) {
+  const def = MISSIONS[m.id];
+  return def.label.replace('{n}', formatTarget(def.targets[m.tier], def.unit));
+}
+
+// Daily challenge: everyone gets the same track (and target score) for the day
+export const dayKey = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+export const dailySeed = (date) => toSeed(`daily-${dayKey(date)}`);
+export function dailyTarget(date) {
+  const rng = new Rng(dailySeed(date));
+  return 4000 + rng.int(9) * 500;
+}
+
+// state: { active: [{ id, tier, progress }], completed, daily: { date, best, claimed } }
+// as last passed to save(); missing or stale parts are filled in.
+export class MissionTracker {
+  constructor({ state, save } = {}) {
+    this.save = save || (() => {});
+    this.state = { active: [], completed: 0, daily: null, ...state };
+    this.state.active = this.state.active.filter(m => MISSIONS[m.id]);
+    this._fill();
+    this.run = null;
+  }
+
+  // Active missions with labels and targets, for the menu
+  get active() {
+    return this.state.active.map(m => {
+      const def = MISSIONS[m.id];
+      return { ...m, label: missionLabel(m), target: def.targets[m.tier], reward: def.reward * (m.tier + 1) };
+    });
+  }
+
+  get daily() {
+    const today = dayKey();
+    const d = (this.state.daily && this.state.daily.date === today) ? this.state.daily : { date: today, best: 0, claimed: false };
+    return { ...d, seed: dailySeed(), target: dailyTarget() };
+  }
+
+  startRun({ daily = false } = {}) {
+    this.run = {
+      daily,
+      stats: { coins: 0, jumps: 0, rolls: 0, rollUnder: 0, hurdles: 0, ramps: 0, powerups: 0, distance: 0, clean: 0, score: 0 },
+      cleanFrom: 0
+    };
+  }
+
+  // Fed every sim event of a live run
+  track(type, data, sim) {
+    const run = this.run;
+    if(!run) return;
+    const s = run.stats;
+    switch(type) {
+      case 'collect': if(data.kind === 'coin') s.coins++; break;
+      case 'powerup': s.powerups++; break;
+      case 'jump': s.jumps++; break;
+      case 'roll': s.rolls++; break;
+      case 'ramp': s.ramps++; break;
+      case 'dodge':
+        if(data.type === 'high' && data.state === 'roll') s.rollUnder++;
+        if(data.type === 'low' && data.state === 'jump') s.hurdles++;
+        break;
+      case 'stumble':
+        s.clean = Math.max(s.clean, sim.distance - run.cleanFrom);
+        run.cleanFrom = sim.distance;
+        break;
+    }
+  }
+
+  // Applies the run to mission progress and saves. Returns what was completed
+  // and the coins earned, for the gameover panel.
+  endRun(sim) {
+    const run = this.run;
+    if(!run) return null;
+    this.run = null;
+    const s = run.stats;
+    s.distance = Math.floor(sim.distance);
+    s.clean = Math.floor(Math.max(s.clean, sim.distance - run.cleanFrom));
+    s.score = Math.floor(sim.score);
+
+    const completed = [];
+    this.state.active = this.state.active.map(m => {
+      const def = MISSIONS[m.id];
+      const progress = def.per === 'run' ? Math.max(m.progress, s[def.stat]) : m.progress + s[def.stat];
+      if(progress < def.targets[m.tier]) return { ...m, progress };
+      completed.push({ label: missionLabel(m), reward: def.reward * (m.tier + 1) });
+      this.state.completed++;
+      return null;
+    }).filter(Boolean);
+    this._fill();
+
+    let daily = null;
+    if(run.daily) {
+      const d = this.daily;
+      daily = { target: d.target, score: s.score, reward: 0 };
+      if(!d.claimed && s.score >= d.target) { d.claimed = true; daily.reward = DAILY_REWARD; }
+      this.state.daily = { date: d.date, best: Math.max(d.best, s.score), claimed: d.claimed };
+    }
+
+    this.save(this.state);
+    const reward = completed.reduce((sum, c) => sum + c.reward, 0) + (daily ? daily.reward : 0);
+    return { completed, daily, reward };
+  }
+
+  // Draws new missions (not already active) up to ACTIVE_MISSIONS. Tiers go up
+  // as more missions are completed.
+  _fill() {
+    const tier = Math.min(2, Math.floor(this.state.completed / 6));
+    while(this.state.active.length < ACTIVE_MISSIONS) {
+      const pool = Object.keys(MISSIONS).filter(id => !this.state.active.some(m => m.id === id));
+      const id = pool[Math.floor(Math.random() * pool.length)];
+      this.state.active.push({ id, tier, progress: 0 });
+    }
+  }
+}
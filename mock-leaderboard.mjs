@@ -0,0 +1,59 @@
+// In-memory leaderboard server for trying HttpLeaderboard locally:
+//   node mock-leaderboard.mjs [port]
+// then open the game with ?leaderboard=http://localhost:8787
+// Tests import createMockServer() and listen on a port of their own.
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+import { LocalLeaderboard, validEntry } from "./leaderboard.js";
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => {
+    data += chunk;
+    if(data.length > 1e4) { reject(new Error('body too large')); req.destroy(); }
+  });
+  req.on('end', () => resolve(data));
+  req.on('error', reject);
+});
+
+// A fresh server with an empty board; not listening yet
+export function createMockServer() {
+  let scores = [];
+  const board = new LocalLeaderboard({ load: () => scores, save: (list) => { scores = list; }, limit: 1000 });
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const around = url.pathname.match(/^\/scores\/([^/]+)\/around$/);
+    try {
+      if(req.method === 'OPTIONS') return send(res, 204);
+      if(req.method === 'POST' && url.pathname === '/scores') {
+        const entry = JSON.parse(await readBody(req));
+        if(!validEntry(entry)) return send(res, 400, { error: 'invalid entry' });
+        return send(res, 201, await board.submit(entry));
+      }
+      if(req.method === 'GET' && url.pathname === '/scores') {
+        return send(res, 200, await board.top(Math.min(Number(url.searchParams.get('limit')) || 10, 100), url.searchParams.get('difficulty') || undefined));
+      }
+      if(req.method === 'GET' && around) {
+        return send(res, 200, await board.around(decodeURIComponent(around[1]), Math.min(Number(url.searchParams.get('range')) || 3, 20)));
+      }
+      send(res, 404, { error: 'not found' });
+    } catch(e) {
+      send(res, 400, { error: e.message });
+    }
+  });
+}
+
+if(process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.argv[2]) || 8787;
+  createMockServer().listen(port, () => console.log(`Mock leaderboard on http://localhost:${port}`));
+}
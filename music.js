@@ -0,0 +1,225 @@
+// Procedural music: a step sequencer scheduled ahead on the audio clock, so it
+// keeps time whatever the frame rate. Tempo follows the running speed and parts
+// join in as the run gets faster.
+const LOOKAHEAD = 0.12;  // Seconds of notes scheduled ahead of the audio clock
+const TIMER_MS = 25;     // How often the scheduler tops the queue up
+const STEPS = 16;        // 16th notes per bar
+const SONG_BARS = 8;     // Bars before moving on to another song
+
+const MINOR = [0, 2, 3, 5, 7, 8, 10];
+const DORIAN = [0, 2, 3, 5, 7, 9, 10];
+
+// Songs. Note rows are one bar of steps: a digit is a scale degree above the
+// bar's chord (7 is an octave up), '.' a rest. Drum rows hit on 'x'.
+//   root     MIDI note of the bass tonic
+//   chords   scale degree of each bar's chord, looped
+export const SONGS = [
+  {
+    name: 'Rush', root: 45, scale: MINOR, chords: [0, 5, 2, 6],
+    kick:  'x...x...x...x...',
+    snare: '....x.......x...',
+    hat:   '..x...x...x...x.',
+    bass:  '0..0..0.0.4.7.0.',
+    lead:  '7.9.4...7.6.4.2.',
+    arp:   '0240240240240240',
+  },
+  {
+    name: 'Overpass', root: 43, scale: DORIAN, chords: [0, 3, 0, 4],
+    kick:  'x..x..x...x..x..',
+    snare: '....x.......x..x',
+    hat:   'x.xxx.xxx.xxx.xx',
+    bass:  '0..0..0...0..4..',
+    lead:  '4...5.4.2...0.2.',
+    arp:   '0.4.7.4.0.4.7.4.',
+  },
+  {
+    name: 'Night Line', root: 40, scale: MINOR, chords: [0, 3, 4, 0],
+    kick:  'x.......x.x.....',
+    snare: '........x.......',
+    hat:   'x.x.x.x.x.x.x.x.',
+    bass:  '0.....0.0.....7.',
+    lead:  '9...7...6.7.4...',
+    arp:   '02470247',
+  },
+];
+
+// Running speed (m/s) at which each part joins in
+const PART_SPEED = { kick: 0, hat: 0, bass: 0, snare: 18, lead: 26, arp: 34 };
+
+export const tempoFor = (speed) => Math.min(168, Math.max(96, 96 + (speed - 12) * 2.5));
+
+const midiFreq = (n) => 440 * Math.pow(2, (n - 69) / 12);
+const noteOf = (song, chord, degree) => {
+  const d = chord + degree;
+  return song.root + song.scale[d % 7] + 12 * Math.floor(d / 7);
+};
+
+export class Sequencer {
+  // out: node the music plays into (the music volume bus)
+  constructor(ctx, out) {
+    this.ctx = ctx;
+    this.filter = ctx.createBiquadFilter(); // Swept down while paused
+    this.filter.type = 'lowpass';
+    this.filter.frequency.value = 18000;
+    this.gain = ctx.createGain();
+    this.filter.connect(this.gain);
+    this.gain.connect(out);
+
+    // Shared white noise for the drums
+    const len = ctx.sampleRate;
+    this.noise = ctx.createBuffer(1, len, ctx.sampleRate);
+    const data = this.noise.getChannelData(0);
+    for(let i=0; i<len; i++) data[i] = Math.random() * 2 - 1;
+
+    this.playing = false;
+    this.speed = 12;
+    this._timer = null;
+  }
+
+  start() {
+    if(this.playing) return;
+    this.playing = true;
+    this._song = Math.floor(Math.random() * SONGS.length);
+    this._step = 0;
+    this._resume();
+  }
+
+  stop() {
+    this.playing = false;
+    this._halt();
+  }
+
+  setSpeed(speed) { this.speed = speed; }
+
+  // Filter sweeps down and the music fades out; resume() sweeps it back in from the next bar
+  pause() {
+    if(!this.playing || this._pauseAt != null) return;
+    const t = this.ctx.currentTime;
+    this._sweep(t, 300, 0);
+    this._pauseAt = t + 0.6;
+  }
+
+  resume() {
+    if(!this.playing || this._pauseAt == null) return;
+    this._halt();
+    this._step = Math.ceil(this._step / STEPS) * STEPS;
+    this._resume();
+  }
+
+  // Falling run down the current song's scale, played over whatever is left
+  stinger() {
+    const song = SONGS[this._song || 0];
+    const t = this.ctx.currentTime + 0.05;
+    this.stop();
+    [9, 7, 4, 2, 0].forEach((d, i) => this._voice('square', midiFreq(noteOf(song, 0, d) + 12), t + i * 0.09, 0.3, 0.12));
+    this._voice('sawtooth', midiFreq(song.root - 12), t + 0.45, 1.2, 0.2);
+  }
+
+  _resume() {
+    const t = this.ctx.currentTime;
+    this._pauseAt = null;
+    this._sweep(t, 18000, 1);
+    this._next = t + 0.05;
+    this._timer = setInterval(() => this._schedule(), TIMER_MS);
+    this._schedule();
+  }
+
+  _halt() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  _sweep(t, freq, gain) {
+    const f = this.filter.frequency, g = this.gain.gain;
+    f.cancelScheduledValues(t); g.cancelScheduledValues(t);
+    f.setValueAtTime(f.value, t); g.setValueAtTime(g.value, t);
+    f.exponentialRampToValueAtTime(freq, t + 0.5);
+    g.linearRampToValueAtTime(gain, t + 0.6);
+  }
+
+  _schedule() {
+    const until = this.ctx.currentTime + LOOKAHEAD;
+    while(this._next < until) {
+      if(this._pauseAt != null && this._next > this._pauseAt) { this._halt(); return; }
+      this._playStep(this._next);
+      this._next += 60 / tempoFor(this.speed) / 4;
+      this._step++;
+    }
+  }
+
+  _playStep(t) {
+    const step = this._step % STEPS;
+    const bar = Math.floor(this._step / STEPS);
+    if(step === 0) {
+      // Layers only change on the bar line
+      this._parts = Object.keys(PART_SPEED).filter(p => this.speed >= PART_SPEED[p]);
+      if(bar > 0 && bar % SONG_BARS === 0) this._song = (this._song + 1 + Math.floor(Math.random() * (SONGS.length - 1))) % SONGS.length;
+    }
+    const song = SONGS[this._song];
+    const chord = song.chords[bar % song.chords.length];
+    const beat = 60 / tempoFor(this.speed);
+    const at = (row) => row[step % row.length];
+
+    for(const part of this._parts) {
+      const c = at(song[part]);
+      if(c === '.') continue;
+      if(part === 'kick') this._kick(t);
+      else if(part === 'snare') this._snare(t);
+      else if(part === 'hat') this._hat(t);
+      else {
+        const freq = midiFreq(noteOf(song, chord, Number(c)) + (part === 'bass' ? 0 : part === 'lead' ? 24 : 12));
+        if(part === 'bass') this._voice('sawtooth', freq, t, beat * 0.45, 0.22, 700);
+        if(part === 'lead') this._voice('square', freq, t, beat * 0.8, 0.07, 2400);
+        if(part === 'arp') this._voice('triangle', freq, t, beat * 0.2, 0.08);
+      }
+    }
+  }
+
+  _voice(type, freq, t, dur, vol, cutoff) {
+    const o = this.ctx.createOscillator(), g = this.ctx.createGain();
+    o.type = type;
+    o.frequency.value = freq;
+    g.gain.setValueAtTime(vol, t);
+    g.gain.exponentialRampToValueAtTime(0.001, t + dur);
+    let node = o;
+    if(cutoff) {
+      const f = this.ctx.createBiquadFilter();
+      f.type = 'lowpass';
+      f.frequency.value = cutoff;
+      node.connect(f);
+      node = f;
+    }
+    node.connect(g);
+    g.connect(this.filter);
+    o.start(t);
+    o.stop(t + dur);
+  }
+
+  _kick(t) {
+    const o = this.ctx.createOscillator(), g = this.ctx.createGain();
+    o.frequency.setValueAtTime(150, t);
+    o.frequency.exponentialRampToValueAtTime(40, t + 0.12);
+    g.gain.setValueAtTime(0.5, t);
+    g.gain.exponentialRampToValueAtTime(0.001, t + 0.3);
+    o.connect(g); g.connect(this.filter);
+    o.start(t); o.stop(t + 0.3);
+  }
+
+  _noise(t, dur, vol, highpass) {
+    const src = this.ctx.createBufferSource(), f = this.ctx.createBiquadFilter(), g = this.ctx.createGain();
+    src.buffer = this.noise;
+    f.type = 'highpass';
+    f.frequency.value = highpass;
+    g.gain.setValueAtTime(vol, t);
+    g.gain.exponentialRampToValueAtTime(0.001, t + dur);
+    src.connect(f); f.connect(g); g.connect(this.filter);
+    src.start(t, Math.random() * 0.5); src.stop(t + dur);
+  }
+
+  _snare(t) {
+    this._noise(t, 0.15, 0.25, 1200);
+    this._voice('triangle', 180, t, 0.08, 0.15);
+  }
+
+  _hat(t) { this._noise(t, 0.04, 0.08, 7000); }
+}
@@ -0,0 +1,127 @@
+import { POWERUP_TYPES } from "./powerups.js";
+import { CHUNK_LEN } from "./sim.js";
+import { toSeed } from "./rng.js";
+
+// Obstacle patterns are authored in patterns.json and checked against this
+// schema at startup. A pattern lists entries for three lanes; lanes are relative
+// (lane i lands on (base + i) % 3 for a random base lane) and z is relative to
+// the chunk centre (positive = nearer the player).
+//
+// {
+//   "id": "single-train", "weight": 25, "minDistance": 0, "tags": ["train"],
+//   "lanes": [
+//     [{ "type": "train", "z": 0, "length": 12, "motion": "random" }],
+//     [{ "type": "coins", "z": 0, "count": 5, "height": 0 }],
+//     []
+//   ]
+// }
+
+const num = { type: 'number' };
+const oneOf = (values) => ({ type: 'string', enum: values });
+
+export const PATTERN_SCHEMA = {
+  pattern: {
+    id:          { type: 'string', required: true },
+    weight:      { type: 'number', required: true, min: 0, exclusive: true },
+    minDistance: { type: 'number', min: 0 },
+    tags:        { type: 'string[]' },
+    lanes:       { type: 'lanes', required: true },
+  },
+  entries: {
+    train:   { z: { ...num, required: true }, length: { type: 'number', required: true, min: 0, exclusive: true },
+               motion: oneOf(['static', 'random', 'oncoming', 'away']) },
+    ramp:    { z: { ...num, required: true } },
+    barrier: { z: { ...num, required: true }, kind: { ...oneOf(['low', 'high', 'random']), required: true } },
+    coins:   { z: { ...num, required: true }, count: { type: 'integer', required: true, min: 1 }, height: num },
+    pickup:  { z: { ...num, required: true }, chance: { type: 'number', min: 0, max: 1 },
+               kind: oneOf([...POWERUP_TYPES, 'random']) },
+  }
+};
+
+export class PatternError extends Error {
+  constructor(errors) {
+    super(`Invalid obstacle patterns:\n  ${errors.join('\n  ')}`);
+    this.name = 'PatternError';
+    this.errors = errors;
+  }
+}
+
+function checkField(path, value, rule, errors) {
+  if(value === undefined) {
+    if(rule.required) errors.push(`${path}: required`);
+    return;
+  }
+  const is = {
+    'number': () => typeof value === 'number' && Number.isFinite(value),
+    'integer': () => Number.isInteger(value),
+    'string': () => typeof value === 'string' && value.length > 0,
+    'string[]': () => Array.isArray(value) && value.every(v => typeof v === 'string'),
+    'lanes': () => Array.isArray(value),
+  }[rule.type];
+  if(!is()) { errors.push(`${path}: expected ${rule.type}, got ${JSON.stringify(value)}`); return; }
+
+  if(rule.enum && !rule.enum.includes(value)) errors.push(`${path}: "${value}" is not one of ${rule.enum.join(', ')}`);
+  if(rule.min !== undefined && (rule.exclusive ? value <= rule.min : value < rule.min)) {
+    errors.push(`${path}: must be ${rule.exclusive ? '>' : '>='} ${rule.min}`);
+  }
+  if(rule.max !== undefined && value > rule.max) errors.push(`${path}: must be <= ${rule.max}`);
+}
+
+function checkObject(path, obj, rules, errors, skip = []) {
+  for(const key of Object.keys(obj)) {
+    if(!rules[key] && !skip.includes(key)) errors.push(`${path}.${key}: unknown field`);
+  }
+  for(const key in rules) checkField(`${path}.${key}`, obj[key], rules[key], errors);
+}
+
+function checkEntry(path, entry, errors) {
+  if(!entry || typeof entry !== 'object') { errors.push(`${path}: expected an object`); return; }
+  const rules = PATTERN_SCHEMA.entries[entry.type];
+  if(!rules) {
+    errors.push(`${path}.type: unknown entry type ${JSON.stringify(entry.type)} (expected ${Object.keys(PATTERN_SCHEMA.entries).join(', ')})`);
+    return;
+  }
+  checkObject(path, entry, rules, errors, ['type']);
+  if(typeof entry.z === 'number' && Math.abs(entry.z) > CHUNK_LEN/2) {
+    errors.push(`${path}.z: ${entry.z} is outside the chunk (±${CHUNK_LEN/2})`);
+  }
+}
+
+// Returns the pattern list, or throws a PatternError listing every problem
+export function validatePatterns(data) {
+  const errors = [];
+  if(!data || !Array.isArray(data.patterns)) throw new PatternError(['root: expected { "patterns": [...] }']);
+  if(data.patterns.length === 0) throw new PatternError(['patterns: at least one pattern is required']);
+
+  const ids = new Set();
+  data.patterns.forEach((pat, i) => {
+    const path = `patterns[${i}]${pat && pat.id ? ` (${pat.id})` : ''}`;
+    if(!pat || typeof pat !== 'object') { errors.push(`${path}: expected an object`); return; }
+    checkObject(path, pat, PATTERN_SCHEMA.pattern, errors);
+
+    if(ids.has(pat.id)) errors.push(`${path}.id: duplicate id`);
+    ids.add(pat.id);
+
+    if(!Array.isArray(pat.lanes)) return;
+    if(pat.lanes.length !== 3) errors.push(`${path}.lanes: expected 3 lanes, got ${pat.lanes.length}`);
+    pat.lanes.forEach((lane, l) => {
+      if(!Array.isArray(lane)) { errors.push(`${path}.lanes[${l}]: expected an array of entries`); return; }
+      lane.forEach((entry, e) => checkEntry(`${path}.lanes[${l}][${e}]`, entry, errors));
+    });
+  });
+
+  if(errors.length) throw new PatternError(errors);
+  return data.patterns.map(p => ({ minDistance: 0, tags: [], ...p }));
+}
+
+export async function loadPatterns(url) {
+  const res = await fetch(url);
+  if(!res.ok) throw new PatternError([`${url}: HTTP ${res.status}`]);
+  let data;
+  try { data = await res.json(); }
+  catch(e) { throw new PatternError([`${url}: not valid JSON (${e.message})`]); }
+  return validatePatterns(data);
+}
+
+// Short id for a pattern set, stored with replays so a changed file is noticed
+export const patternsHash = (patterns) => toSeed(JSON.stringify(patterns)).toString(36);
@@ -0,0 +1,14 @@
+// Timed power-ups. Durations in seconds; the effects themselves live in RunSim.
+export const POWERUPS = {
+  magnet:     { duration: 10, label: 'Magnet' },   // Pulls nearby coins in
+  jetpack:    { duration: 8,  label: 'Jetpack' },  // Flies above the trains over a coin trail
+  sneakers:   { duration: 12, label: 'Sneakers' }, // Higher jumps (onto train roofs)
+  multiplier: { duration: 15, label: '2x Score' }, // Doubles all score gains
+};
+
+export const POWERUP_TYPES = Object.keys(POWERUPS);
+
+export const MAGNET_RADIUS = 7;
+export const JETPACK_HEIGHT = 8;
+export const SNEAKER_JUMP = 17;
+export const SCORE_MULTIPLIER = 2;
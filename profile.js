@@ -0,0 +1,145 @@
+import { toSeed } from "./rng.js";
+import { DEFAULT_SKIN, DEFAULT_OUTFIT } from "./skins.js";
+import { INPUT_BUFFER, COYOTE_TIME } from "./sim.js";
+
+// Everything the game keeps between sessions lives in one versioned profile,
+// stored under a single localStorage key with a checksum. Older saves are
+// brought up to date by MIGRATIONS; a save that fails its checksum or can't be
+// read is set aside and the game starts from defaults.
+export const PROFILE_VERSION = 3;
+const STORAGE_KEY = 'metroProfile';
+const BACKUP_KEY = 'metroProfile.corrupt';
+
+// Keys used before profiles existed, read once by the version 1 migration
+const LEGACY_KEYS = ['metroHigh', 'metroWallet', 'metroBoards', 'metroBestRun', 'metroMissions', 'metroSkins'];
+
+export function defaultProfile() {
+  return {
+    version: PROFILE_VERSION,
+    name: 'Runner',  // Shown on leaderboards
+    highScore: 0,
+    wallet: 0,
+    boards: 0,
+    unlocks: { skins: [DEFAULT_SKIN], outfits: [DEFAULT_OUTFIT] },
+    look: { player: DEFAULT_SKIN, chaser: DEFAULT_OUTFIT },
+    bestRun: null,   // Replay log of the high score run (ghost)
+    missions: null,  // MissionTracker state
+    settings: { volume: 0.6, music: true, musicVolume: 0.5, quality: 'auto', debug: false, hitboxes: false, difficulty: 'normal',
+                timeOfDay: 'cycle', weather: 'clear', inputBuffer: INPUT_BUFFER, coyoteTime: COYOTE_TIME },
+    customDifficulty: null, // Profile loaded from JSON, used when settings.difficulty is 'custom'
+    bindings: {},    // Key overrides (action -> key codes); empty keeps the defaults
+    stats: { runs: 0, distance: 0, coins: 0, bestDistance: 0 },
+    leaderboard: [], // LocalLeaderboard entries
+  };
+}
+
+// MIGRATIONS[n] turns a version n-1 profile into version n. Version 0 is the
+// raw values of LEGACY_KEYS.
+const MIGRATIONS = {
+  1: (legacy) => {
+    const json = (v) => { try { return JSON.parse(v); } catch(e) { return null; } };
+    const looks = json(legacy.metroSkins) || {};
+    const p = defaultProfile();
+    p.highScore = Number(legacy.metroHigh) || 0;
+    p.wallet = Number(legacy.metroWallet) || 0;
+    p.boards = Number(legacy.metroBoards) || 0;
+    p.bestRun = json(legacy.metroBestRun);
+    p.missions = json(legacy.metroMissions);
+    if(looks.skins) p.unlocks.skins = looks.skins;
+    if(looks.outfits) p.unlocks.outfits = looks.outfits;
+    if(looks.player) p.look.player = looks.player;
+    if(looks.chaser) p.look.chaser = looks.chaser;
+    return p;
+  },
+  // Local leaderboard, started off with the stored best run
+  2: (p) => {
+    const best = p.bestRun && p.bestRun.result;
+    return {
+      ...p,
+      leaderboard: best ? [{ id: 'best', name: 'Runner', score: best.score, coins: best.coins, distance: Math.floor(best.distance),
+                             date: p.bestRun.date || 0, seed: p.bestRun.seed }] : []
+    };
+  },
+  // Custom difficulty 'tunnels' (chance a chunk is a tunnel) became the zones.tunnel
+  // weight multiplier. Normal used to run about 0.1, so that maps to an even weight.
+  3: (p) => {
+    const custom = p.customDifficulty;
+    if(!custom || typeof custom !== 'object' || !('tunnels' in custom)) return p;
+    const { tunnels, ...rest } = custom;
+    const weight = (v) => Number.isFinite(v) ? Math.min(v * 10, 100) : v;
+    const curve = Array.isArray(tunnels) ? tunnels.map(pt => Array.isArray(pt) ? [pt[0], weight(pt[1])] : pt) : weight(tunnels);
+    return { ...p, customDifficulty: { ...rest, zones: { tunnel: curve, ...rest.zones } } };
+  },
+};
+
+function migrate(data) {
+  let version = data.version || 0;
+  if(version > PROFILE_VERSION) throw new Error(`Profile is from a newer version of the game (v${version})`);
+  while(version < PROFILE_VERSION) {
+    version++;
+    data = { ...MIGRATIONS[version](data), version };
+  }
+  return data;
+}
+
+// Fills in missing fields and drops values of the wrong type, so a profile
+// edited by hand (or from an older build) can't break the game
+function sanitize(data) {
+  const clean = (value, def) => {
+    if(def === null) return value === undefined ? null : value;
+    if(Array.isArray(def)) {
+      if(!Array.isArray(value)) return def;
+      return def.length ? value.filter(v => typeof v === typeof def[0]) : value;
+    }
+    if(typeof def === 'object') {
+      const out = { ...(value && typeof value === 'object' && !Array.isArray(value) ? value : {}) };
+      for(const key in def) out[key] = clean(out[key], def[key]);
+      return out;
+    }
+    if(typeof def === 'number') return (typeof value === 'number' && Number.isFinite(value)) ? value : def;
+    return typeof value === typeof def ? value : def;
+  };
+  return clean(data, defaultProfile());
+}
+
+const checksum = (data) => toSeed(JSON.stringify(data)).toString(36);
+
+// Returns { profile, warning }; warning says why defaults were used
+export function loadProfile(storage) {
+  const raw = storage.getItem(STORAGE_KEY);
+  if(raw === null) {
+    const legacy = {};
+    for(const key of LEGACY_KEYS) legacy[key] = storage.getItem(key);
+    return { profile: sanitize(migrate(legacy)), warning: null };
+  }
+  try {
+    const { sum, data } = JSON.parse(raw);
+    if(sum !== checksum(data)) throw new Error('checksum mismatch');
+    return { profile: sanitize(migrate(data)), warning: null };
+  } catch(e) {
+    storage.setItem(BACKUP_KEY, raw);
+    return { profile: defaultProfile(), warning: `Saved profile was unreadable (${e.message}) and has been reset` };
+  }
+}
+
+export function saveProfile(storage, profile) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ sum: checksum(profile), data: profile }));
+    for(const key of LEGACY_KEYS) storage.removeItem(key);
+  } catch(e) {
+    console.warn("Couldn't save profile", e);
+  }
+}
+
+// Export file: the profile itself, readable and editable
+export const serializeProfile = (profile) => JSON.stringify(profile, null, 2);
+
+export function parseProfile(text) {
+  let data;
+  try { data = JSON.parse(text); }
+  catch(e) { throw new Error(`Not a profile file: ${e.message}`); }
+  if(!data || typeof data !== 'object' || typeof data.version !== 'number') throw new Error("Not a profile file: missing version");
+  return sanitize(migrate(data));
+}
+
+export const profileFileName = () => `metro-profile-${new Date().toISOString().slice(0, 10)}.json`;
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadProfile, saveProfile, defaultProfile, PROFILE_VERSION } from "./profile.js";
+import { toSeed } from "./rng.js";
+import { validateDifficulty } from "./difficulty.js";
+
+// localStorage stand-in
+function memoryStorage(items = {}) {
+  return {
+    items,
+    getItem: (k) => k in items ? items[k] : null,
+    setItem: (k, v) => { items[k] = String(v); },
+    removeItem: (k) => { delete items[k]; },
+  };
+}
+
+// A save as an older build wrote it: the profile under its checksum
+const checksum = (data) => toSeed(JSON.stringify(data)).toString(36);
+const stored = (data) => JSON.stringify({ sum: checksum(data), data });
+
+test("a v2 custom difficulty's tunnels become zones.tunnel", () => {
+  const v2 = { ...defaultProfile(), version: 2, settings: { ...defaultProfile().settings, difficulty: 'custom' },
+               customDifficulty: { name: 'Mine', speed: 20, tunnels: [[0, 0.12], [5000, 0.08]], zones: { yard: 2 } } };
+  const storage = memoryStorage({ metroProfile: stored(v2) });
+
+  const { profile, warning } = loadProfile(storage);
+  assert.equal(warning, null);
+  assert.equal(profile.version, PROFILE_VERSION);
+  assert.deepEqual(profile.customDifficulty, { name: 'Mine', speed: 20, zones: { tunnel: [[0, 1.2], [5000, 0.8]], yard: 2 } });
+  assert.doesNotThrow(() => validateDifficulty(profile.customDifficulty));
+
+  // Saved back under a checksum of the migrated data, and loads as-is
+  saveProfile(storage, profile);
+  const saved = JSON.parse(storage.items.metroProfile);
+  assert.equal(saved.sum, checksum(profile));
+  assert.deepEqual(loadProfile(storage).profile, profile);
+});
+
+test("a zones.tunnel already set wins over the old tunnels", () => {
+  const v2 = { ...defaultProfile(), version: 2, customDifficulty: { tunnels: 0.3, zones: { tunnel: 3 } } };
+  const { profile } = loadProfile(memoryStorage({ metroProfile: stored(v2) }));
+  assert.deepEqual(profile.customDifficulty, { zones: { tunnel: 3 } });
+});
+
+test("a v2 save with a bad checksum is set aside", () => {
+  const v2 = { ...defaultProfile(), version: 2, customDifficulty: { tunnels: 0.2 } };
+  const storage = memoryStorage({ metroProfile: JSON.stringify({ sum: 'nope', data: v2 }) });
+  const { profile, warning } = loadProfile(storage);
+  assert.match(warning, /checksum mismatch/);
+  assert.equal(profile.customDifficulty, null);
+  assert.ok(storage.items['metroProfile.corrupt']);
+});
@@ -0,0 +1,93 @@
+// Render quality tiers, lowest first. The fixed presets in Settings map onto
+// tiers; Auto moves between them based on measured frame time.
+//   pixelRatio  cap on devicePixelRatio
+//   shadowMap   sun shadow map size (0 = shadows off)
+//   fogFar      fog end distance
+//   viewDist    track further ahead than this isn't drawn (the sim still runs it)
+//   particles   rain / snow drops drawn (sky.js)
+export const QUALITY_TIERS = [
+  { name: 'Minimal',   pixelRatio: 0.75,     shadowMap: 0,    fogFar: 70,  viewDist: 80,  particles: 200 },
+  { name: 'Fast',      pixelRatio: 1.0,      shadowMap: 0,    fogFar: 100, viewDist: 110, particles: 500 },
+  { name: 'Light',     pixelRatio: 1.0,      shadowMap: 1024, fogFar: 110, viewDist: 130, particles: 800 },
+  { name: 'Balanced',  pixelRatio: 1.5,      shadowMap: 1024, fogFar: 120, viewDist: 150, particles: 1200 },
+  { name: 'Beautiful', pixelRatio: Infinity, shadowMap: 2048, fogFar: 120, viewDist: 200, particles: 2000 },
+];
+
+export const PRESET_TIERS = { low: 1, medium: 3, high: 4 };
+
+// Display refresh rate, from requestAnimationFrame intervals while nothing is
+// being drawn (menu, pause) so the frame cost can't slow it down. The median of
+// the last REFRESH_SAMPLES intervals; null until half of them are in.
+const REFRESH_SAMPLES = 60;
+
+export class RefreshMeter {
+  constructor() {
+    this.fps = null;
+    this._dts = [];
+  }
+
+  // Intervals over 0.2 s are stalls (tab switch, first frame back), not the display
+  sample(dt) {
+    if(!(dt > 0) || dt > 0.2) return;
+    this._dts.push(dt);
+    if(this._dts.length > REFRESH_SAMPLES) this._dts.shift();
+    if(this._dts.length < REFRESH_SAMPLES / 2) return;
+    const sorted = this._dts.slice().sort((a, b) => a - b);
+    this.fps = 1 / sorted[sorted.length >> 1];
+  }
+}
+
+// Frame time is averaged over WINDOW seconds and judged against the display's
+// refresh rate (targetFps until a RefreshMeter has measured it). Below DROP_RATIO of the target the
+// tier drops straight away; it only climbs after RAISE_AFTER seconds at full
+// rate, and a tier that was dropped from waits RETRY_AFTER before it's tried
+// again (doubling each time it fails).
+const WINDOW = 2;
+const DROP_RATIO = 0.85;
+const RAISE_RATIO = 0.95;
+const RAISE_AFTER = 6;
+const RETRY_AFTER = 30;
+
+export class AutoQuality {
+  constructor({ tier = PRESET_TIERS.medium, targetFps = 60, refresh = null } = {}) {
+    this.tier = tier;
+    this.targetFps = targetFps;
+    this.refresh = refresh;
+    this.fps = targetFps;
+    this._frames = 0;
+    this._time = 0;
+    this._good = 0;        // Seconds in a row at full rate
+    this._clock = 0;
+    this._failed = {};     // tier -> { at, count } when it was last dropped from
+  }
+
+  // Feed the real frame time; returns the new tier when it changes, else null
+  sample(dt) {
+    this._frames++;
+    this._time += dt;
+    this._clock += dt;
+    if(this._time < WINDOW) return null;
+
+    this.fps = this._frames / this._time;
+    const span = this._time;
+    this._frames = 0;
+    this._time = 0;
+
+    const target = (this.refresh && this.refresh.fps) || this.targetFps;
+    if(this.fps < target * DROP_RATIO) {
+      this._good = 0;
+      if(this.tier === 0) return null;
+      const failed = this._failed[this.tier];
+      this._failed[this.tier] = { at: this._clock, count: failed ? failed.count + 1 : 1 };
+      return --this.tier;
+    }
+
+    this._good = (this.fps >= target * RAISE_RATIO) ? this._good + span : 0;
+    const next = this.tier + 1;
+    if(this._good < RAISE_AFTER || next >= QUALITY_TIERS.length) return null;
+    const failed = this._failed[next];
+    if(failed && this._clock - failed.at < RETRY_AFTER * 2 ** (failed.count - 1)) return null;
+    this._good = 0;
+    return ++this.tier;
+  }
+}
@@ -0,0 +1,176 @@
+import { LANES, STEP, GRAVITY, JUMP_VELOCITY, ROLL_TIME, LANE_LERP, TRAIN_WAKE_DIST } from "./sim.js";
+import { LOW_BARRIER } from "./hitbox.js";
+
+// Reachability check for generated track. The track is cut into thin slices and
+// we sweep forward keeping the set of (lane, on-roof) states the player could be
+// in, using the same movement limits as RunSim. A roll lasts ROLL_TIME and the
+// next one can only start a step after it ends, standing up in between, so high
+// barriers spaced so that no chain of rolls fits them block their lane.
+
+const SLICE = 0.5;
+const TRIP_HEIGHT = LOW_BARRIER.h; // Low barriers trip anything below this
+const HIT_MARGIN = 0.5;   // Covers the player box's depth either side of an obstacle
+const RAMP_BRIDGE = 6;    // A ramp ending this close to a train leads onto its roof
+const MIN_CLOSING = 1;    // m/s; a train pulling away at least as fast as a slow player is met far off, not never
+
+const FREE = 0, LOW = 1, HIGH = 2, TRAIN = 3, RAMP = 4, BLOCKED = 5;
+
+// Movement limits at a given speed, in slices
+export function movementLimits(speed) {
+  // Lane ease covers 95% of a lane in ln(20)/rate, plus a little reaction time
+  const laneTime = Math.log(20) / LANE_LERP + 0.1;
+  const jumpTime = 2 * JUMP_VELOCITY / GRAVITY;
+  const clearTime = 2 * Math.sqrt(JUMP_VELOCITY * JUMP_VELOCITY - 2 * GRAVITY * TRIP_HEIGHT) / GRAVITY;
+  const toSlices = (t) => Math.ceil(t * speed / SLICE);
+  return {
+    laneSwitch: toSlices(laneTime),
+    jump: toSlices(jumpTime),
+    jumpClear: Math.floor(clearTime * speed / SLICE),
+    roll: Math.floor(ROLL_TIME * speed / SLICE),
+    rollGap: toSlices(STEP), // Standing between one roll ending and the next
+  };
+}
+
+// Where the player will actually meet a train, given its velocity. Parked
+// movers start rolling TRAIN_WAKE_DIST ahead of the player.
+function meetExtent(o, speed, playerZ) {
+  let near = o.z + o.d/2;
+  let len = o.d;
+  if(o.vz) {
+    const closing = Math.max(speed + o.vz, MIN_CLOSING);
+    const gap = o.active ? Math.max(playerZ - near, 0) : TRAIN_WAKE_DIST;
+    near += gap * o.vz / closing;
+    len *= speed / closing;
+  }
+  return [near, near - len];
+}
+
+// Timings: 0 standing and free to roll, 1..rollGap standing up after a roll,
+// rollGap + r rolling with r slices left
+function rollThrough(lane, { roll, rollGap }) {
+  const rolling = rollGap + 1;
+  let can = new Uint8Array(rolling + roll).fill(1); // Any timing where the sweep starts
+  for(let i=0; i<lane.length; i++) {
+    if(i > 0) {
+      const next = new Uint8Array(can.length);
+      for(let t=0; t<can.length; t++) {
+        if(!can[t]) continue;
+        if(t <= 1) next[rolling + roll - 1] = 1; // Start a roll
+        next[Math.max(t - 1, 0)] = 1;
+      }
+      can = next;
+    }
+    if(lane[i] !== HIGH) continue;
+    can.fill(0, 0, rolling);
+    if(can.some(Boolean)) continue;
+    // No roll gets under this one: block the whole barrier and come back standing
+    let start = i, end = i;
+    while(start > 0 && lane[start - 1] === HIGH) start--;
+    while(end + 1 < lane.length && lane[end + 1] === HIGH) end++;
+    lane.fill(BLOCKED, start, end + 1);
+    can = new Uint8Array(can.length);
+    can[0] = 1;
+    i = end;
+  }
+}
+
+// obstacles: sim obstacles (plus candidates). Sweeps fromZ -> toZ (decreasing z)
+// starting in `start` ([ground lane 0..2, roof lane 0..2] flags).
+// Returns { ok, mark } where mark is the state flags at markZ.
+export function checkReach(obstacles, { fromZ, toZ, markZ, start, speed, playerZ }) {
+  const n = Math.max(1, Math.ceil((fromZ - toZ) / SLICE));
+  const lim = movementLimits(speed);
+  const cells = LANES.map(() => new Uint8Array(n));
+  const idx = (z) => Math.floor((fromZ - z) / SLICE);
+
+  const paint = (lane, zNear, zFar, type, onlyFree) => {
+    const a = Math.max(0, idx(zNear)), b = Math.min(n - 1, idx(zFar));
+    for(let i=a; i<=b; i++) if(!onlyFree || cells[lane][i] === FREE) cells[lane][i] = Math.max(cells[lane][i], type);
+  };
+
+  const ramps = [], trains = [];
+  for(const o of obstacles) {
+    const lane = LANES.indexOf(o.x);
+    if(lane < 0) continue;
+    if(o.type === 'train') {
+      const [near, far] = meetExtent(o, speed, playerZ);
+      paint(lane, near + HIT_MARGIN, far - HIT_MARGIN, TRAIN);
+      trains.push({ lane, near });
+    }
+    else if(o.type === 'ramp') { paint(lane, o.z + 4, o.z - 4, RAMP); ramps.push({ lane, top: o.z - 4 }); }
+    else paint(lane, o.z + o.d/2 + HIT_MARGIN, o.z - o.d/2 - HIT_MARGIN, o.type === 'low' ? LOW : HIGH);
+  }
+
+  // Ramps that run up to a train
+  for(const r of ramps) {
+    const t = trains.find(t => t.lane === r.lane && t.near <= r.top && r.top - t.near <= RAMP_BRIDGE);
+    if(t) paint(r.lane, r.top, t.near + HIT_MARGIN, RAMP, true);
+  }
+
+  // Low barriers closer together than one jump (but too far apart to clear in
+  // the same jump) can't both be jumped in that lane
+  cells.forEach(lane => {
+    let prevStart = -1, prevEnd = -1;
+    for(let i=0; i<n; i++) {
+      if(lane[i] !== LOW || (i > 0 && lane[i-1] === LOW)) continue;
+      let end = i;
+      while(end + 1 < n && lane[end + 1] === LOW) end++;
+      const tooLong = end - i + 1 > lim.jumpClear;
+      const tooClose = prevEnd >= 0 && i - prevEnd < lim.jump && end - prevStart + 1 > lim.jumpClear;
+      if(tooLong || tooClose) lane.fill(BLOCKED, i, end + 1);
+      else { prevStart = i; prevEnd = end; }
+    }
+  });
+
+  // High barriers: sweep each lane with every roll timing still possible and
+  // block the barrier where none is left (the player has to leave the lane)
+  cells.forEach(lane => rollThrough(lane, lim));
+
+  const ground = (i, l) => cells[l][i] !== TRAIN && cells[l][i] !== BLOCKED;
+  const roof = (i, l) => cells[l][i] === TRAIN;
+
+  // reach[i*6 + l] = on the ground in lane l, reach[i*6 + 3 + l] = on a roof
+  const reach = new Uint8Array(n * 6);
+  for(let l=0; l<3; l++) {
+    if(start[l] && ground(0, l)) reach[l] = 1;
+    if(start[3 + l] && roof(0, l)) reach[3 + l] = 1;
+  }
+
+  const k = lim.laneSwitch;
+  for(let i=0; i<n-1; i++) {
+    for(let l=0; l<3; l++) {
+      const onGround = reach[i*6 + l], onRoof = reach[i*6 + 3 + l];
+      if(!onGround && !onRoof) continue;
+
+      // Keep running in this lane
+      if(onGround) {
+        if(ground(i+1, l)) reach[(i+1)*6 + l] = 1;
+        else if(roof(i+1, l) && cells[l][i] === RAMP) reach[(i+1)*6 + 3 + l] = 1;
+      }
+      if(onRoof) {
+        if(roof(i+1, l)) reach[(i+1)*6 + 3 + l] = 1;
+        else if(ground(i+1, l)) reach[(i+1)*6 + l] = 1; // Drop off the end
+      }
+
+      // Switch lanes: every slice of the switch must be passable. From a roof
+      // you can step across to another roof or jump down beside the train.
+      const end = Math.min(n - 1, i + k);
+      for(const l2 of [l-1, l+1]) {
+        if(l2 < 0 || l2 > 2) continue;
+        let stayClear = true, targetGround = true, targetRoof = true;
+        for(let j=i; j<=end; j++) {
+          if(!ground(j, l)) stayClear = false;
+          if(!ground(j, l2)) targetGround = false;
+          if(!roof(j, l2)) targetRoof = false;
+        }
+        if(targetGround && (onRoof || stayClear)) reach[end*6 + l2] = 1;
+        if(targetRoof && onRoof) reach[end*6 + 3 + l2] = 1;
+      }
+    }
+  }
+
+  const at = (i) => Array.from(reach.subarray(i*6, i*6 + 6), Boolean);
+  const ok = at(n - 1).some(Boolean);
+  const m = Math.min(n - 1, Math.max(0, idx(markZ)));
+  return { ok, mark: at(m) };
+}
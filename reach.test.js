@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkReach, movementLimits } from "./reach.js";
+import { LANES } from "./sim.js";
+import { HIGH_BARRIER } from "./hitbox.js";
+
+// The middle lane between two long trains, swept at a steady speed
+const SPEED = 20;
+const high = (lane, z) => ({ type: 'high', x: LANES[lane], z, d: HIGH_BARRIER.d });
+const wall = (lane) => ({ type: 'train', x: LANES[lane], z: -20, d: 60 });
+const reach = (obstacles, walls = [wall(0), wall(2)]) =>
+  checkReach([...walls, ...obstacles], { fromZ: 5, toZ: -45, markZ: -45, start: [false, true, false, false, false, false], speed: SPEED, playerZ: 10 }).ok;
+const row = (count, spacing) => Array.from({ length: count }, (_, k) => high(1, -5 - k * spacing));
+
+test("one roll gets under a high barrier, and a chain of rolls under several", () => {
+  assert.ok(reach([high(1, -10)]));
+  assert.ok(reach([high(1, -5), high(1, -20)]));
+  assert.ok(reach(row(4, 8)));
+});
+
+test("high barriers packed tighter than a roll can chain block their lane", () => {
+  const rollLength = movementLimits(SPEED).roll * 0.5; // Slices are half a metre
+  const packed = row(Math.ceil(rollLength / 1.5) + 1, 1.5);
+  assert.equal(reach(packed), false);
+  // ...but the player can still go round them
+  assert.ok(reach(packed, [wall(0)]));
+});
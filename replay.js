@@ -0,0 +1,55 @@
+import { STEP } from "./sim.js";
+
+// Replay log: the run's seed and settings plus every input as [step, code].
+// Codes: L/R lane change, J jump, D roll, B hoverboard, P pause (pause has no effect on the sim).
+// Bumped whenever the sim would play the same inputs back differently
+// (2: power-ups, 3: hoverboard, 4: moving trains, 5: pattern files, 6: reachability check,
+//  7: buffered presses, 8: hitboxes, 9: difficulty curves, 10: zones, 11: coins during board grace,
+//  12: slow players behind departing trains, 13: jetpack trails off the track rng,
+//  14: roll length in the reachability check)
+export const REPLAY_VERSION = 14;
+const CODES = ['L', 'R', 'J', 'D', 'B', 'P'];
+
+// Replay codes -> input flags read by the sim
+export const ACTION_FLAGS = { L:'l', R:'r', J:'j', D:'d', B:'b' };
+
+export function parseReplay(text) {
+  let log;
+  try { log = JSON.parse(text); }
+  catch(e) { throw new Error("Replay file is not valid JSON."); }
+
+  if(!log || typeof log !== 'object') throw new Error("Replay file is empty.");
+  if(log.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${log.version} (expected ${REPLAY_VERSION}).`);
+  if(log.seed == null) throw new Error("Replay has no seed.");
+  if(log.step !== STEP) throw new Error("Replay was recorded with a different simulation step.");
+  if(!Array.isArray(log.inputs)) throw new Error("Replay has no input list.");
+
+  let last = 0;
+  log.inputs.forEach((entry, i) => {
+    if(!Array.isArray(entry) || !Number.isInteger(entry[0]) || !CODES.includes(entry[1])) {
+      throw new Error(`Replay input #${i} is malformed: ${JSON.stringify(entry)}`);
+    }
+    if(entry[0] < last) throw new Error(`Replay input #${i} is out of order.`);
+    last = entry[0];
+  });
+  log.settings = log.settings || {};
+  return log;
+}
+
+export function replayFileName(log) {
+  const score = log.result ? log.result.score : 'unfinished';
+  return `metro-replay-${log.seed}-${score}.json`;
+}
+
+// Returns feed(sim): call before every sim.step() to apply the inputs recorded for it
+export function replayFeeder(log) {
+  let i = 0;
+  return (sim) => {
+    const inputs = log.inputs;
+    while(i < inputs.length && inputs[i][0] <= sim.steps) {
+      const flag = ACTION_FLAGS[inputs[i][1]];
+      if(flag) sim.input[flag] = true;
+      i++;
+    }
+  };
+}
@@ -0,0 +1,33 @@
+// Seeded PRNG (mulberry32). Every random decision in a run draws from the
+// run's instance so the same seed always builds the same track.
+export class Rng {
+  constructor(seed) {
+    this.seed = toSeed(seed);
+    this._s = this.seed;
+  }
+
+  next() {
+    let t = this._s = (this._s + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) { return min + this.next() * (max - min); }
+  int(n) { return Math.floor(this.next() * n); }
+  chance(p) { return this.next() < p; }
+}
+
+// Numbers are used as-is, anything else ("daily-2026-10-19") is hashed (FNV-1a).
+export function toSeed(value) {
+  if(typeof value === 'number' && Number.isFinite(value)) return value >>> 0;
+  const str = String(value);
+  let h = 0x811c9dc5;
+  for(let i=0; i<str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export const randomSeed = () => Math.floor(Math.random() * 1e6);
@@ -0,0 +1,140 @@
+// Sound effects. Each sound plays its sample from SOUND_DIR once loaded, and
+// falls back to synthesized tones until then (or if the file isn't shipped).
+// SOUND_MANIFEST lists the files SOUND_DIR actually has, so missing ones aren't requested.
+//   file     sample in SOUND_DIR
+//   tones    fallback: [frequency, wave, duration, volume, delay] per tone
+//   pitch    random playback rate variation, +- fraction per play
+//   gain     random volume variation, +- fraction per play
+//   voices   most copies playing at once; the oldest is cut off for a new one
+//   loop     plays until stopped (tones then hold at volume instead of decaying)
+export const SOUND_DIR = 'sounds/';
+export const SOUND_MANIFEST = 'manifest.json';
+
+export const SOUNDS = {
+  jump:    { file: 'jump.ogg',    tones: [[400, 'sine', 0.2, 0.1]], pitch: 0.08, voices: 2 },
+  roll:    { file: 'roll.ogg',    tones: [[200, 'sine', 0.2, 0.1]], pitch: 0.08, voices: 2 },
+  swipe:   { file: 'swipe.ogg',   tones: [[600, 'triangle', 0.05, 0.05]], pitch: 0.15, voices: 2 },
+  coin:    { file: 'coin.ogg',    tones: [[1200, 'sine', 0.1, 0.1], [1800, 'sine', 0.1, 0.1, 0.08]], pitch: 0.04, voices: 6 },
+  crash:   { file: 'crash.ogg',   tones: [[100, 'sawtooth', 0.5, 0.3]], pitch: 0.1, voices: 1 },
+  board:   { file: 'board.ogg',   tones: [[300, 'triangle', 0.2, 0.1], [500, 'triangle', 0.2, 0.1, 0.1]], voices: 1 },
+  powerup: { file: 'powerup.ogg', tones: [[600, 'square', 0.1, 0.08], [900, 'square', 0.15, 0.08, 0.09]], voices: 2 },
+  // World sounds, played positioned
+  horn:    { file: 'horn.ogg',    tones: [[220, 'sawtooth', 0.7, 0.12], [277, 'sawtooth', 0.7, 0.1]], pitch: 0.03, voices: 3 },
+  rumble:  { file: 'rumble.ogg',  tones: [[45, 'sawtooth', 0, 0.3], [61, 'triangle', 0, 0.2]], loop: true, voices: 4 },
+  step:    { file: 'step.ogg',    tones: [[90, 'triangle', 0.06, 0.25]], pitch: 0.2, gain: 0.3, voices: 2 },
+  whistle: { file: 'whistle.ogg', tones: [[2100, 'sine', 0.2, 0.12], [2100, 'sine', 0.45, 0.12, 0.25]], voices: 1 },
+};
+
+export class SfxBank {
+  constructor(ctx, out) {
+    this.ctx = ctx;
+    this.out = out;
+    this.buffers = {};
+    this.active = {}; // name -> voices playing, oldest first
+  }
+
+  // Fetches the samples in the manifest; the ones that fail (or aren't listed) keep their tones
+  async load() {
+    let files;
+    try {
+      const res = await fetch(SOUND_DIR + SOUND_MANIFEST);
+      files = res.ok ? await res.json() : [];
+    } catch(e) { files = []; }
+    if(!Array.isArray(files)) return;
+    await Promise.all(Object.entries(SOUNDS).filter(([, s]) => files.includes(s.file)).map(async ([name, s]) => {
+      try {
+        const res = await fetch(SOUND_DIR + s.file);
+        if(!res.ok) return;
+        this.buffers[name] = await this.ctx.decodeAudioData(await res.arrayBuffer());
+      } catch(e) { /* Keep the fallback */ }
+    }));
+  }
+
+  // Plays a sound into out (a panner for positioned sounds). Returns its voice
+  // ({ gain, stop() }) so loops can be faded and stopped.
+  play(name, { out = this.out, volume = 1, rate = 1 } = {}) {
+    const s = SOUNDS[name];
+    if(!s) return null;
+    const active = this.active[name] || (this.active[name] = []);
+    if(active.length >= (s.voices || 4)) active.shift().stop();
+
+    const vary = (amount) => 1 + (amount ? (Math.random() * 2 - 1) * amount : 0);
+    rate *= vary(s.pitch);
+    volume *= vary(s.gain === undefined ? 0.1 : s.gain);
+
+    const t = this.ctx.currentTime;
+    const gain = this.ctx.createGain();
+    gain.gain.value = volume;
+    gain.connect(out);
+
+    const sources = this.buffers[name] ? [this._sample(name, gain, t, rate)] : s.tones.map(tone => this._tone(tone, s.loop, gain, t, rate));
+    const voice = {
+      gain: gain.gain,
+      stop: () => {
+        sources.forEach(src => { try { src.node.stop(); } catch(e) { /* Already ended */ } });
+        const i = active.indexOf(voice);
+        if(i >= 0) active.splice(i, 1);
+      },
+    };
+    // The longest source ending frees the voice
+    sources.reduce((a, b) => (b.ends > a.ends ? b : a)).node.onended = () => {
+      const i = active.indexOf(voice);
+      if(i >= 0) active.splice(i, 1);
+      gain.disconnect();
+    };
+    active.push(voice);
+    return voice;
+  }
+
+  _sample(name, out, t, rate) {
+    const src = this.ctx.createBufferSource();
+    src.buffer = this.buffers[name];
+    src.loop = !!SOUNDS[name].loop;
+    src.playbackRate.value = rate;
+    src.connect(out);
+    src.start(t);
+    return { node: src, ends: src.loop ? Infinity : src.buffer.duration / rate };
+  }
+
+  _tone([freq, wave, dur, vol, delay = 0], loop, out, t, rate) {
+    const o = this.ctx.createOscillator(), g = this.ctx.createGain();
+    o.type = wave;
+    o.frequency.value = freq * rate;
+    t += delay;
+    g.gain.setValueAtTime(vol, t);
+    if(!loop) g.gain.exponentialRampToValueAtTime(0.01, t + dur);
+    o.connect(g); g.connect(out);
+    o.start(t);
+    if(!loop) o.stop(t + dur);
+    return { node: o, ends: loop ? Infinity : delay + dur };
+  }
+}
+
+// Panner for a world sound source, rolling off with distance from the listener
+export function createPanner(ctx, out) {
+  const p = ctx.createPanner();
+  p.panningModel = 'HRTF';
+  p.distanceModel = 'inverse';
+  p.refDistance = 4;
+  p.maxDistance = 200;
+  p.rolloffFactor = 1.2;
+  p.connect(out);
+  return p;
+}
+
+// Older browsers only have the setPosition / setOrientation methods
+export function placePanner(p, { x, y, z }) {
+  if(p.positionX) { p.positionX.value = x; p.positionY.value = y; p.positionZ.value = z; }
+  else p.setPosition(x, y, z);
+}
+
+export function placeListener(listener, pos, forward, up) {
+  if(listener.positionX) {
+    listener.positionX.value = pos.x; listener.positionY.value = pos.y; listener.positionZ.value = pos.z;
+    listener.forwardX.value = forward.x; listener.forwardY.value = forward.y; listener.forwardZ.value = forward.z;
+    listener.upX.value = up.x; listener.upY.value = up.y; listener.upZ.value = up.z;
+  } else {
+    listener.setPosition(pos.x, pos.y, pos.z);
+    listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+  }
+}
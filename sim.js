@@ -0,0 +1,713 @@
+import { Rng, randomSeed } from "./rng.js";
+import { checkReach } from "./reach.js";
+import { playerBox, obstacleBoxes, topAt, overlapX, overlapZ, overlapY, STEP_UP, LOW_BARRIER, HIGH_BARRIER } from "./hitbox.js";
+import { resolveDifficulty, curveAt, weightAt, DEFAULT_DIFFICULTY } from "./difficulty.js";
+import { ZONES, FIRST_ZONE } from "./zones.js";
+import { POWERUPS, POWERUP_TYPES, MAGNET_RADIUS, JETPACK_HEIGHT, SNEAKER_JUMP, SCORE_MULTIPLIER } from "./powerups.js";
+
+// Run simulation without THREE or the DOM. Game renders it as a view; Node can
+// step it directly with scripted inputs.
+//
+// Everything the view needs to know about goes through emit(type, data):
+//   'spawn' / 'despawn'  entity ({ kind: 'chunk' | 'obstacle' | 'coin' | 'pickup' | a spawner's kind, ... })
+//   'zone'               zone id the player just ran into (zones.js)
+//   'collect'            coin or pickup that was picked up
+//   'powerup' / 'powerupEnd'  power-up type
+//   'boardUsed' / 'boardBreak' / 'boardEnd'  hoverboard lifecycle
+//   'trainWarning'       moving train that just started rolling
+//   'pattern'            { id, z } layout placed on a chunk
+//   'patternRejected'    { id, z } layout that failed the reachability check
+//   'jump' / 'roll' / 'stumble'  player actions (missions count these)
+//   'lane'               { from, to } lane change the player made
+//   'ramp'               ramp the player started running up
+//   'dodge'              { type: 'low' | 'high', state } barrier passed without a hit
+//   'sfx'                sound name
+//   'caught'             player got caught, run is ending
+//   'gameover'           { score, coins, distance, seed }
+
+export const LANES = [-2.5, 0.0, 2.5];
+export const CHUNK_LEN = 40; // Longer chunks for buildings
+// Fixed simulation step. Physics only ever advances by this much so a run plays
+// the same at any refresh rate (and thin barriers can't be skipped over).
+export const STEP = 1/60;
+
+// Player movement. reach.js derives its fairness limits from these.
+export const GRAVITY = 40;
+export const JUMP_VELOCITY = 13;
+export const ROLL_TIME = 0.8;
+export const LANE_LERP = 18; // Lane changes ease in at this rate (1/s)
+
+// Presses that can't happen yet (jump mid-air, roll mid-roll, second lane change
+// mid-switch) wait this long before they're dropped. Jumps still work this long
+// after running off an edge. Both can be overridden through settings
+// (inputBuffer / coyoteTime, in seconds; Settings has sliders for them).
+export const INPUT_BUFFER = 0.15;
+export const COYOTE_TIME = 0.1;
+const LANE_READY = 1.0; // A queued lane change starts once this close to the current lane
+
+// Hoverboard: absorbs the next hit while it lasts, then a short grace period
+export const BOARD_DURATION = 30;
+export const BOARD_GRACE = 1.5;
+
+// Moving trains sit still until the player is this close, then warn and roll
+export const TRAIN_WAKE_DIST = 70;
+
+// Layouts failing the reachability check are re-rolled this many times before
+// the chunk is left empty
+const PATTERN_ATTEMPTS = 4;
+
+export class RunSim {
+  constructor(opts = {}) {
+    this.seed = (opts.seed == null) ? randomSeed() : opts.seed;
+    this.rng = new Rng(this.seed); // The track: only chunk generation draws from it
+    this.trailRng = new Rng(`${this.seed}:trail`); // Jetpack coin trails, picked up whenever the player gets one
+    this.input = opts.input || { l:false, r:false, j:false, d:false, b:false };
+    this.emit = opts.emit || (() => {});
+    this.settings = { boards: 0, inputBuffer: INPUT_BUFFER, coyoteTime: COYOTE_TIME, difficulty: DEFAULT_DIFFICULTY, ...opts.settings };
+    this.difficulty = resolveDifficulty(this.settings.difficulty); // Preset id or custom profile (difficulty.js)
+    this.patterns = opts.patterns; // Validated list from patterns.json (see patterns.js)
+    if(!this.patterns || !this.patterns.length) throw new Error("RunSim needs obstacle patterns (load patterns.json with validatePatterns)");
+    this.boards = this.settings.boards; // Hoverboards the player brought into the run
+
+    this.state = 'running';
+    this.time = 0;
+    this.steps = 0;
+    this.worldZ = 0; // How far the track has scrolled towards the camera
+
+    this.chunks = [];
+    this.obstacles = [];
+    this.coins = [];
+    this.pickups = [];
+    this.extras = []; // Entities from opts.spawners
+
+    // Extra entity kinds (game plugins). A spawner is
+    //   { kind, spawn(chunk, rng, sim) -> [{ x, y, z, w, h, d, ... }], step(e, dt, sim), collect(e, sim) -> points }
+    // spawn places entities around a chunk's centre (z relative, like patterns);
+    // step and collect are optional. Each kind draws from its own Rng so the
+    // track itself comes out the same with or without them.
+    this.spawners = new Map((opts.spawners || []).map(s => [s.kind, { ...s, rng: new Rng(`${this.seed}:${s.kind}`) }]));
+
+    this.p = {
+      lane: 1, x: 0, y: 0,
+      fromLane: 1, prevX: 0, // Lane before the last change and x before this step (side impacts)
+      vy: 0, groundH: 0,
+      state: 'run',
+      rollTimer: 0,
+      airTime: 0, // Seconds since last on the ground (coyote time)
+      jumped: false,
+      invuln: 0,
+      board: 0, // Hoverboard seconds left
+      grace: 0, // Invulnerable after a board breaks (unlike invuln, the chaser stays back)
+      speed: 12,
+      targetSpeed: curveAt(this.difficulty.speed, 0),
+      powers: {} // type -> seconds left
+    };
+    this._presses = []; // Buffered { action, time } presses, oldest first
+
+    // Reachability at the front of the last patterned chunk: [ground lanes, roof lanes]
+    this._reach = { z: CHUNK_LEN/2, lanes: [true, true, true, false, false, false] };
+
+    this.chaserDist = 3.5;
+    this.caughtTimer = 0;
+
+    this.score = 0;
+    this.distance = 0;
+    this.coinsCol = 0;
+
+    // Spawn Start Chunks: open street, then the first stretch carries on after them
+    this._stretch = { zone: FIRST_ZONE, left: this._stretchLength(FIRST_ZONE) };
+    this.zone = FIRST_ZONE; // Zone the player is in
+    let z = 0;
+    for(let i=0; i<6; i++) {
+       this._spawnChunk(z, { zone: FIRST_ZONE, buildings: i > 3 }); // Only buildings after first few
+       if(i > 2) this._spawnPattern(z, ZONES[FIRST_ZONE]);
+       z -= CHUNK_LEN;
+    }
+  }
+
+  // Player position in track space (the player stays at scene z = 0)
+  get playerZ() { return -this.worldZ; }
+
+  // ---------------------------
+  // UPDATE
+  // ---------------------------
+  step(dt) {
+    const p = this.p;
+    this.time += dt;
+    this.steps++;
+
+    // Speed progression (eases towards the difficulty curve)
+    if(this.state === 'running') {
+        p.targetSpeed = curveAt(this.difficulty.speed, this.distance);
+        if(p.speed < p.targetSpeed) p.speed = Math.min(p.speed + dt * 0.5, p.targetSpeed);
+        else p.speed = Math.max(p.speed - dt * 0.5, p.targetSpeed);
+    }
+
+    // Move World (+Z direction)
+    const move = p.speed * dt;
+    this.worldZ += move;
+
+    if(this.state === 'running') {
+        this.distance += move;
+        this._addScore(move * 2);
+    }
+
+    // Infinite Generation
+    const frontZ = this.worldZ + this.chunks[0].z;
+    if(frontZ > 40) { // Chunk passed camera
+      const c = this.chunks.shift();
+      this.emit('despawn', c);
+
+      const lastZ = this.chunks[this.chunks.length-1].z;
+      const newZ = lastZ - CHUNK_LEN;
+
+      this._spawnNext(newZ);
+    }
+
+    const here = this.chunks.find(c => Math.abs(c.z - this.playerZ) <= CHUNK_LEN/2);
+    const zone = here && (here.transition ? null : here.zone);
+    if(zone && zone !== this.zone) {
+      this.zone = zone;
+      this.emit('zone', zone);
+    }
+
+    this._moveObstacles(dt);
+    for(const e of this.extras) {
+        const s = this.spawners.get(e.kind);
+        if(s.step) s.step(e, dt, this);
+    }
+
+    // Cull Entities
+    const cullZ = this.playerZ + 30;
+    for(const list of [this.obstacles, this.pickups, this.coins, this.extras]) {
+        for(let i=list.length-1; i>=0; i--) {
+            if(list[i].z > cullZ) {
+                 this.emit('despawn', list[i]);
+                 list.splice(i,1);
+            }
+        }
+    }
+
+    // Chaser Logic
+    let targetDist = (p.invuln > 0) ? 1.5 : 4.5;
+    if(this.state !== 'running') targetDist = 0.8;
+    this.chaserDist += (targetDist - this.chaserDist) * dt * 3.0;
+
+    if(this.state === 'running') this._updatePlayer(dt);
+    else if(this.state === 'caught') {
+        this.caughtTimer -= dt;
+        if(this.caughtTimer <= 0) this._endRun();
+    }
+  }
+
+  _addScore(v) {
+    this.score += this.p.powers.multiplier ? v * SCORE_MULTIPLIER : v;
+  }
+
+  _updatePowers(dt) {
+    const powers = this.p.powers;
+    for(const type in powers) {
+        powers[type] -= dt;
+        if(powers[type] <= 0) {
+            delete powers[type];
+            this.emit('powerupEnd', type);
+        }
+    }
+
+    // Magnet: coins within reach fly to the player
+    if(powers.magnet) {
+        const p = this.p;
+        const pz = this.playerZ;
+        for(const c of this.coins) {
+            if(c.collected) continue;
+            const dx = p.x - c.x, dy = (p.y + 1.2) - c.y, dz = pz - c.z;
+            if(!c.pulled && dx*dx + dy*dy + dz*dz > MAGNET_RADIUS*MAGNET_RADIUS) continue;
+            c.pulled = true;
+            const k = Math.min(1, 12 * dt);
+            c.x += dx * k; c.y += dy * k; c.z += dz * k;
+        }
+    }
+  }
+
+  _activatePower(type) {
+    const p = this.p;
+    const fresh = !p.powers[type];
+    p.powers[type] = POWERUPS[type].duration;
+    this.emit('powerup', type);
+    this.emit('sfx', 'powerup');
+
+    if(type === 'jetpack' && fresh) {
+        p.state = 'jump';
+        this._spawnCoinTrail(p.speed * POWERUPS.jetpack.duration);
+    }
+  }
+
+  // Coins along the jetpack flight path, switching lanes every so often
+  _spawnCoinTrail(length) {
+    let lane = this.p.lane;
+    const start = this.playerZ - 12;
+    for(let d=0; d<length; d+=3) {
+        if(d > 0 && d % 30 === 0) lane = Math.max(0, Math.min(2, lane + (this.trailRng.chance(0.5) ? 1 : -1)));
+        const c = { kind:'coin', x: LANES[lane], y: JETPACK_HEIGHT + 1.2, z: start - d, collected:false };
+        this.coins.push(c);
+        this.emit('spawn', c);
+    }
+  }
+
+  // Trains with their own velocity (vz > 0 comes at the player, vz < 0 drives away)
+  _moveObstacles(dt) {
+    const pz = this.playerZ;
+    for(const o of this.obstacles) {
+        if(!o.vz) continue;
+        if(!o.active) {
+            if(pz - (o.z + o.d/2) > TRAIN_WAKE_DIST) continue;
+            o.active = true;
+            this.emit('trainWarning', o);
+            this.emit('sfx', 'horn');
+        }
+        o.z += o.vz * dt;
+    }
+  }
+
+  _updatePlayer(dt) {
+    const p = this.p;
+    if(p.invuln > 0) p.invuln -= dt;
+    if(p.grace > 0) p.grace -= dt;
+    this._updatePowers(dt);
+    this._updateBoard(dt);
+
+    this._bufferInput();
+
+    // Lane Changing: one lane at a time, so a double press goes two lanes
+    const lanePress = this._presses.find(pr => pr.action === 'left' || pr.action === 'right');
+    if(lanePress && Math.abs(LANES[p.lane] - p.x) < LANE_READY) {
+        this._presses.splice(this._presses.indexOf(lanePress), 1);
+        p.fromLane = p.lane;
+        p.lane = Math.max(0, Math.min(2, p.lane + (lanePress.action === 'left' ? -1 : 1)));
+        if(p.lane !== p.fromLane) this.emit('lane', { from: p.fromLane, to: p.lane });
+        this.emit('sfx', 'swipe');
+    }
+
+    const targetX = LANES[p.lane];
+    p.prevX = p.x;
+    p.x += (targetX - p.x) * LANE_LERP * dt;
+
+    // --- GROUND PHYSICS ---
+    // Highest solid top under the player's centre that isn't too far above their feet
+    const pRealZ = this.playerZ;
+    const box = playerBox(p, pRealZ);
+    let groundY = 0;
+
+    for(const o of this.obstacles) {
+        if(!o.isSolid || !overlapZ(box, o) || Math.abs(o.x - p.x) >= o.w/2) continue;
+        // Ramps slope from y=0 at their near end (z+4) up to 3.5 at the far end (z-4)
+        const top = topAt(obstacleBoxes(o)[0], pRealZ);
+        if(p.y < top - STEP_UP || top <= groundY) continue;
+        groundY = top;
+        if(o.type === 'ramp' && !o.used) { o.used = true; this.emit('ramp', o); }
+    }
+    p.groundH = groundY;
+
+    // JUMP (also just after running off an edge)
+    const grounded = p.y <= p.groundH + 0.2 && p.vy <= 0;
+    if(grounded) { p.airTime = 0; p.jumped = false; }
+    else p.airTime += dt;
+    const canJump = grounded || (!p.jumped && p.airTime <= this.settings.coyoteTime);
+    if(canJump && !p.powers.jetpack && this._takePress('jump')) {
+        p.vy = p.powers.sneakers ? SNEAKER_JUMP : JUMP_VELOCITY;
+        p.state = 'jump';
+        p.jumped = true;
+        this.emit('jump');
+        this.emit('sfx', 'jump');
+    }
+
+    // DUCK / ROLL
+    if(p.state !== 'roll' && !p.powers.jetpack && this._takePress('roll')) {
+        p.state = 'roll';
+        p.rollTimer = ROLL_TIME;
+        if(p.y > p.groundH + 1) p.vy = -20; // Fast drop
+        this.emit('roll');
+        this.emit('sfx', 'roll');
+    }
+
+    // GRAVITY (jetpack holds its cruise height instead)
+    if(p.powers.jetpack) {
+        p.vy = 0;
+        p.y += (JETPACK_HEIGHT - p.y) * 3 * dt;
+    } else {
+        p.vy -= GRAVITY * dt;
+        p.y += p.vy * dt;
+    }
+
+    // Landing
+    if(p.y < p.groundH) {
+        p.y = p.groundH;
+        p.vy = 0;
+        if(p.state === 'jump') p.state = 'run';
+    }
+
+    if(p.state === 'roll') {
+        p.rollTimer -= dt;
+        if(p.rollTimer <= 0) p.state = 'run';
+    }
+
+    this._checkCollisions(pRealZ);
+  }
+
+  // Moves this step's input flags into the press buffer and drops stale presses
+  _bufferInput() {
+    const input = this.input;
+    for(const [flag, action] of [['l', 'left'], ['r', 'right'], ['j', 'jump'], ['d', 'roll']]) {
+        if(!input[flag]) continue;
+        input[flag] = false;
+        this._presses.push({ action, time: this.time });
+    }
+    const oldest = this.time - this.settings.inputBuffer;
+    this._presses = this._presses.filter(pr => pr.time >= oldest);
+  }
+
+  _takePress(action) {
+    const i = this._presses.findIndex(pr => pr.action === action);
+    if(i < 0) return false;
+    this._presses.splice(i, 1);
+    return true;
+  }
+
+  _checkCollisions(pRealZ) {
+    const p = this.p;
+    this._checkPickups(pRealZ);
+    this._checkDodges(pRealZ);
+    // Trains and posts stop a lane change even while invulnerable
+    const hit = p.powers.jetpack ? null : this._findHit(pRealZ); // Flying over everything with the jetpack
+    if(hit && hit.side) this._bounce();
+    if(p.invuln > 0) return;
+
+    // A broken board's grace period shrugs off hits but still picks up coins
+    if(hit && p.grace <= 0) {
+        hit.o.hit = true;
+        if(p.board > 0) this._breakBoard();
+        else if(this.chaserDist < 2.0) this._catchPlayer();
+        else this._stumble();
+        return;
+    }
+
+    // Coins
+    for(const c of this.coins) {
+        if(c.collected) continue;
+        if(Math.abs(c.z - pRealZ) < 1.2 && Math.abs(c.x - p.x) < 0.8 && Math.abs(p.y - c.y) < 1.5) {
+            c.collected = true;
+            this.coinsCol++;
+            this._addScore(50);
+            this.emit('collect', c);
+            this.emit('sfx', 'coin');
+        }
+    }
+  }
+
+  // First obstacle the player's box runs into, as { o, side }. A side hit is one
+  // the player only overlaps because of this step's sideways move.
+  _findHit(pRealZ) {
+    const p = this.p;
+    const box = playerBox(p, pRealZ);
+    const before = { ...box, x: p.prevX };
+    for(const o of this.obstacles) {
+        if(!overlapZ(box, o) || !overlapX(box, o)) continue;
+        for(const b of obstacleBoxes(o)) {
+            // Solid tops can be landed on, so they only hit well below the top
+            const top = o.isSolid ? topAt(b, pRealZ) - STEP_UP : b.y + b.h;
+            if(overlapX(box, b) && overlapZ(box, b) && overlapY(box, b, top)) return { o, side: !overlapX(before, b) };
+        }
+        if(!o.isSolid) o.passState = p.state; // How the player got past it, see _checkDodges
+    }
+    return null;
+  }
+
+  // Back to the lane the player was leaving; queued lane presses are dropped
+  _bounce() {
+    const p = this.p;
+    p.lane = p.fromLane;
+    this._presses = this._presses.filter(pr => pr.action !== 'left' && pr.action !== 'right');
+  }
+
+  // Barriers the player was level with and got past without a hit
+  _checkDodges(pRealZ) {
+    for(const o of this.obstacles) {
+        if(!o.passState || o.passed || pRealZ > o.z - o.d/2 - 0.5) continue;
+        o.passed = true;
+        if(!o.hit) this.emit('dodge', { type: o.type, state: o.passState });
+    }
+  }
+
+  _checkPickups(pRealZ) {
+    const p = this.p;
+    for(const u of this.pickups) {
+        if(u.collected) continue;
+        if(Math.abs(u.z - pRealZ) < 1.2 && Math.abs(u.x - p.x) < 0.9 && Math.abs(p.y - u.y) < 1.8) {
+            u.collected = true;
+            this.emit('collect', u);
+            this._activatePower(u.type);
+        }
+    }
+    const box = playerBox(p, pRealZ);
+    for(const e of this.extras) {
+        if(e.collected || !overlapX(box, e) || !overlapZ(box, e) || !overlapY(box, e)) continue;
+        const s = this.spawners.get(e.kind);
+        if(!s.collect) continue;
+        e.collected = true;
+        this.emit('collect', e);
+        this._addScore(s.collect(e, this) || 0);
+    }
+  }
+
+  _updateBoard(dt) {
+    const p = this.p;
+    if(this.input.b) {
+        this.input.b = false;
+        if(p.board <= 0 && this.boards > 0) {
+            this.boards--;
+            p.board = BOARD_DURATION;
+            this.emit('boardUsed', this.boards);
+            this.emit('sfx', 'board');
+        }
+    }
+    if(p.board > 0) {
+        p.board -= dt;
+        if(p.board <= 0) this.emit('boardEnd');
+    }
+  }
+
+  _breakBoard() {
+      this.p.board = 0;
+      this.p.grace = BOARD_GRACE;
+      this.emit('boardBreak');
+      this.emit('sfx', 'crash');
+  }
+
+  _stumble() {
+      this.emit('stumble');
+      this.emit('sfx', 'crash');
+      this.p.invuln = 1.0;
+      // Recover fast: only minor speed drop
+      this.p.speed *= 0.7;
+      this.p.vy = 5;
+  }
+
+  _catchPlayer() {
+      this.state = 'caught';
+      this.p.speed = 0;
+      this.caughtTimer = 1.5;
+      this.emit('sfx', 'crash');
+      this.emit('caught');
+  }
+
+  _endRun() {
+      this.state = 'gameover';
+      this.emit('gameover', {
+          score: Math.floor(this.score),
+          coins: this.coinsCol,
+          distance: Math.floor(this.distance),
+          seed: this.seed
+      });
+  }
+
+  // ---------------------------
+  // WORLD GENERATION
+  // ---------------------------
+  // transition: { from, to } for the gate chunk between two zones
+  _spawnChunk(z, { zone, transition = null, buildings = true }) {
+    const chunk = { kind:'chunk', z, zone, transition, buildings: [] };
+
+    // Buildings
+    const spec = ZONES[zone].buildings;
+    if(buildings && spec && !transition) {
+        [-spec.x, spec.x].forEach(bx => chunk.buildings.push({ x: bx, h: this.rng.range(spec.h[0], spec.h[1]) }));
+    }
+
+    this.chunks.push(chunk);
+    this.emit('spawn', chunk);
+    this._spawnExtras(chunk);
+  }
+
+  _spawnExtras(chunk) {
+    for(const s of this.spawners.values()) {
+        for(const e of s.spawn(chunk, s.rng, this) || []) {
+            const extra = { w: 1, h: 1, d: 1, y: 0, ...e, kind: s.kind, z: chunk.z + (e.z || 0) };
+            this.extras.push(extra);
+            this.emit('spawn', extra);
+        }
+    }
+  }
+
+  // Next chunk of the current stretch, or a gate into the next zone when it runs out
+  _spawnNext(z) {
+    const s = this._stretch;
+    if(s.left > 0) {
+        s.left--;
+        this._spawnChunk(z, { zone: s.zone });
+        this._spawnPattern(z, ZONES[s.zone]);
+        return;
+    }
+    const to = this._pickZone(s.zone, -z);
+    this._spawnChunk(z, { zone: to, transition: { from: s.zone, to } });
+    this._spawnPattern(z, null);
+    this._stretch = { zone: to, left: this._stretchLength(to) };
+  }
+
+  _stretchLength(zone) {
+    const [min, max] = ZONES[zone].chunks;
+    return min + this.rng.int(max - min + 1);
+  }
+
+  // Weighted by the zone's `next` table and the difficulty's zone curves
+  _pickZone(from, distance) {
+    const pool = Object.entries(ZONES[from].next)
+        .map(([id, w]) => ({ id, w: w * (this.difficulty.zones[id] === undefined ? 1 : curveAt(this.difficulty.zones[id], distance)) }))
+        .filter(c => c.w > 0);
+    if(!pool.length) return FIRST_ZONE;
+    let r = this.rng.next() * pool.reduce((sum, c) => sum + c.w, 0);
+    for(const c of pool) {
+        r -= c.w;
+        if(r < 0) return c.id;
+    }
+    return pool[pool.length - 1].id;
+  }
+
+  // Weighted pick among the patterns unlocked at this distance along the track
+  _pickPattern(z, zone) {
+      const pool = this.patterns.filter(p => p.minDistance <= -z)
+          .map(p => ({ p, weight: p.weight * weightAt(this.difficulty, p, -z) * weightAt(zone, p, -z) }))
+          .filter(c => c.weight > 0);
+      if(!pool.length) return null;
+      const total = pool.reduce((sum, c) => sum + c.weight, 0);
+      let r = this.rng.next() * total;
+      for(const c of pool) {
+          r -= c.weight;
+          if(r < 0) return c.p;
+      }
+      return pool[pool.length - 1].p;
+  }
+
+  // zone: whose pattern weights apply (zones.js), null to leave the chunk open
+  _spawnPattern(z, zone) {
+      // The difficulty's density curve decides whether this chunk gets a pattern at all
+      const attempts = zone && this.rng.chance(curveAt(this.difficulty.density, -z)) ? PATTERN_ATTEMPTS : 0;
+      for(let attempt=0; attempt<attempts; attempt++) {
+          const pattern = this._pickPattern(z, zone);
+          if(!pattern) break;
+          const entities = this._buildPattern(pattern, z);
+          if(this._checkReach(z, entities)) {
+              entities.forEach(e => this._addEntity(e));
+              this.emit('pattern', { id: pattern.id, z });
+              return;
+          }
+          this.emit('patternRejected', { id: pattern.id, z });
+      }
+      // Nothing fair fits (or no pattern this time): leave the chunk empty so the player always has a way through
+      if(!this._checkReach(z, [])) this._reach = { z: z + CHUNK_LEN/2, lanes: [true, true, true, false, false, false] };
+  }
+
+  // Checks the previous patterned chunk plus this one (moving trains and long
+  // trains can cross the seam) against the player's movement limits
+  _checkReach(z, entities) {
+      const p = this.p;
+      const obstacles = this.obstacles.concat(entities.filter(e => e.kind === 'obstacle'));
+      const res = checkReach(obstacles, {
+          fromZ: this._reach.z,
+          toZ: z - CHUNK_LEN/2,
+          markZ: z + CHUNK_LEN/2,
+          start: this._reach.lanes,
+          // Speed keeps creeping towards the curve by the time we get there
+          speed: Math.max(p.speed, p.targetSpeed, curveAt(this.difficulty.speed, -z + CHUNK_LEN/2)),
+          playerZ: this.playerZ
+      });
+      if(res.ok) this._reach = { z: z + CHUNK_LEN/2, lanes: res.mark };
+      return res.ok;
+  }
+
+  _buildPattern(pattern, z) {
+      const entities = [];
+      const base = this.rng.int(3);
+      const coins = curveAt(this.difficulty.coins, -z);
+      pattern.lanes.forEach((entries, i) => {
+          const x = LANES[(base + i) % 3];
+          entries.forEach(e => entities.push(...this._buildEntry(e, x, z + e.z, coins)));
+      });
+      return entities;
+  }
+
+  // coins: multiplier on coin line length (difficulty)
+  _buildEntry(e, x, z, coins = 1) {
+      switch(e.type) {
+          case 'train': return [this._makeTrain(x, z, e.length, this._rollTrainSpeed(x, z, e.length, e.motion))];
+          case 'ramp': return [this._makeRamp(x, z)];
+          case 'barrier': return [this._makeBarrier(x, z, e.kind === 'random' ? (this.rng.chance(0.5)?'low':'high') : e.kind)];
+          case 'coins': return this._makeCoins(x, z, Math.round(e.count * coins), e.height);
+          case 'pickup': return this._makePickup(x, z, e.chance, e.kind);
+      }
+      return [];
+  }
+
+  _addEntity(e) {
+      const list = { obstacle: this.obstacles, coin: this.coins, pickup: this.pickups }[e.kind];
+      list.push(e);
+      this.emit('spawn', e);
+  }
+
+  // motion 'random' makes some trains move: oncoming (faster than the scroll) or
+  // drifting away. Oncoming ones stay parked if they'd plough into something
+  // nearer in their lane.
+  _rollTrainSpeed(x, z, length, motion = 'static') {
+      if(motion === 'static') return 0;
+      const roll = (motion === 'random') ? this.rng.next() : (motion === 'oncoming' ? 0.6 : 0.85);
+      if(roll < 0.6) return 0;
+      if(roll < 0.85) {
+          const vz = this.rng.range(8, 14);
+          const front = z + length/2;
+          const blocked = this.obstacles.some(o => o.x === x && o.z > front && o.z - o.d/2 < front + 40);
+          return blocked ? 0 : vz;
+      }
+      return -this.rng.range(4, 8);
+  }
+
+  _makeTrain(x, z, length, vz = 0) {
+      return { kind:'obstacle', type:'train', x, z, w:2.3, h:3.5, d:length, isSolid:true, vz, active:false };
+  }
+
+  _makeRamp(x, z) {
+      // z is center of 8 unit ramp: Start (z+4) at y=0, End (z-4) at y=3.5
+      return { kind:'obstacle', type:'ramp', x, z, w:2.2, h:3.5, d:8, isSolid:true };
+  }
+
+  _makeBarrier(x, z, type) {
+      const size = type === 'high' ? HIGH_BARRIER : LOW_BARRIER;
+      return { kind:'obstacle', type, x, z, w:size.w, h:size.h, d:size.d, isSolid:false };
+  }
+
+  _makeCoins(x, z, num, yOff) {
+      const y = 1.2 + (yOff||0);
+      const coins = [];
+      for(let i=0; i<num; i++) coins.push({ kind:'coin', x, y, z: z-i*2.0, collected:false });
+      return coins;
+  }
+
+  _makePickup(x, z, chance = 1, kind = 'random') {
+      if(chance < 1 && !this.rng.chance(chance)) return [];
+      const type = (kind === 'random') ? POWERUP_TYPES[this.rng.int(POWERUP_TYPES.length)] : kind;
+      return [{ kind:'pickup', type, x, y: 1.2, z, collected:false }];
+  }
+}
+
+// Steps a run headlessly until it ends or maxSteps is reached.
+// script(step, sim) runs before every step and can set sim.input flags.
+// settings are the RunSim settings (difficulty, boards, inputBuffer, coyoteTime),
+// e.g. a replay log's, so any run can be reproduced.
+export function simulate({ seed, patterns, settings, spawners, dt = STEP, maxSteps = 60 * 60 * 5, script, emit } = {}) {
+  const sim = new RunSim({ seed, patterns, settings, spawners, emit });
+  let step = 0;
+  while(sim.state !== 'gameover' && step < maxSteps) {
+    if(script) script(step, sim);
+    sim.step(dt);
+    step++;
+  }
+  return sim;
+}
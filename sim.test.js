@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { simulate, STEP } from "./sim.js";
+import { validatePatterns } from "./patterns.js";
+import { Rng } from "./rng.js";
+import { REPLAY_VERSION, ACTION_FLAGS, parseReplay, replayFeeder } from "./replay.js";
+import { buildGhost } from "./ghost.js";
+
+// Headless runs on fixed seeds: the sim must be deterministic for replays,
+// ghosts and shared seeds to mean anything.
+const patterns = validatePatterns(JSON.parse(readFileSync(new URL("./patterns.json", import.meta.url), "utf8")));
+const SEEDS = [1, 81723, "daily-2026-10-19"];
+
+// Presses a random action every half second or so, the same ones for the same
+// input seed, and logs them the way Game records a replay
+function player(inputSeed, inputs = []) {
+  const rng = new Rng(inputSeed);
+  const codes = Object.keys(ACTION_FLAGS).filter(c => c !== 'B');
+  return (step, sim) => {
+    if(!rng.chance(1 / 30)) return;
+    const code = codes[rng.int(codes.length)];
+    inputs.push([sim.steps, code]);
+    sim.input[ACTION_FLAGS[code]] = true;
+  };
+}
+
+// Chunks, patterns and obstacles in the order they were placed, as they were placed
+function layoutOf(run) {
+  const layout = [];
+  const sim = run((type, d) => {
+    if(type === 'pattern' || type === 'patternRejected') layout.push(`${type} ${d.id} ${d.z}`);
+    if(type === 'spawn' && (d.kind === 'chunk' || d.kind === 'obstacle')) layout.push(`${d.kind} ${d.type || d.zone} ${d.x} ${d.z}`);
+  });
+  return { sim, layout };
+}
+
+const result = (sim) => ({ state: sim.state, steps: sim.steps, score: sim.score, distance: sim.distance, coins: sim.coinsCol });
+
+test("the same seed plays out the same run", () => {
+  for(const seed of SEEDS) {
+    const a = simulate({ seed, patterns, script: player(seed) });
+    const b = simulate({ seed, patterns, script: player(seed) });
+    assert.ok(a.distance > 0, `seed ${seed} went nowhere`);
+    assert.deepEqual(result(b), result(a), `seed ${seed}`);
+  }
+});
+
+test("what the player does never changes the track", () => {
+  for(const seed of SEEDS) {
+    // One flies a jetpack (its coin trail picks lanes at random), the other just plays
+    const flier = layoutOf(emit => simulate({ seed, patterns, emit, script: (step, sim) => { if(step === 120) sim._activatePower('jetpack'); } }));
+    const runner = layoutOf(emit => simulate({ seed, patterns, emit, script: player(seed) }));
+    const n = Math.min(flier.layout.length, runner.layout.length);
+    assert.ok(n > 20, `seed ${seed} placed too little track to compare`);
+    assert.deepEqual(runner.layout.slice(0, n), flier.layout.slice(0, n), `seed ${seed}`);
+  }
+});
+
+test("settings are part of the run", () => {
+  const easy = simulate({ seed: 81723, patterns, settings: { difficulty: "easy" }, maxSteps: 60 * 60 });
+  const hard = simulate({ seed: 81723, patterns, settings: { difficulty: "hard" }, maxSteps: 60 * 60 });
+  assert.notDeepEqual(result(hard), result(easy));
+});
+
+test("a replay log reproduces its run", () => {
+  for(const seed of SEEDS) {
+    const inputs = [];
+    const settings = { difficulty: "hard", boards: 1 };
+    const run = simulate({ seed, patterns, settings, script: player(seed, inputs) });
+    assert.ok(inputs.length > 0, `seed ${seed} recorded no inputs`);
+
+    const log = parseReplay(JSON.stringify({ version: REPLAY_VERSION, seed, step: STEP, settings: run.settings, inputs }));
+    const feed = replayFeeder(log);
+    const replayed = simulate({ seed: log.seed, patterns, settings: log.settings, script: (step, sim) => feed(sim) });
+    assert.deepEqual(result(replayed), result(run), `seed ${seed}`);
+  }
+});
+
+test("a ghost runs its replay to the same end", () => {
+  const inputs = [];
+  const run = simulate({ seed: 81723, patterns, script: player(81723, inputs) });
+  const ghost = buildGhost({ version: REPLAY_VERSION, seed: 81723, step: STEP, settings: run.settings, inputs }, patterns);
+  assert.equal(ghost.at(0).distance, 0);
+  const end = ghost.at(run.steps + 60);
+  assert.ok(end.done);
+  assert.ok(Math.abs(end.distance - run.distance) < 1, `ghost ended at ${end.distance}, the run at ${run.distance}`);
+});
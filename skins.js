@@ -0,0 +1,26 @@
+// Cosmetic sets sold in the shop. Adding an entry here is all it takes to sell
+// a new look; Game builds the rig from it.
+//   shirt / pants / skin    colours ('#rrggbb'); skin defaults to the base skin tone
+//   pattern                 { type: 'stripes' | 'hoops' | 'noise', color } procedural shirt texture
+//   hat                     'cap' | 'beanie' | 'tophat' | 'none', coloured hatColor (defaults to pants)
+//   accessory               'backpack' | 'none', coloured accessoryColor (defaults to shirt)
+export const SKINS = {
+  classic:   { name: 'Classic',   price: 0,    shirt: '#ff4400', pants: '#1a237e', hat: 'cap' },
+  tracksuit: { name: 'Tracksuit', price: 500,  shirt: '#00897b', pants: '#004d40', hat: 'beanie', hatColor: '#ffeb3b' },
+  explorer:  { name: 'Explorer',  price: 800,  shirt: '#8d6e63', pants: '#5d4037', pattern: { type: 'noise', color: '#6d4c41' },
+               hat: 'cap', hatColor: '#33691e', accessory: 'backpack', accessoryColor: '#33691e' },
+  punk:      { name: 'Punk',      price: 1000, shirt: '#212121', pants: '#424242', pattern: { type: 'hoops', color: '#e53935' },
+               hat: 'none', accessory: 'backpack', accessoryColor: '#e53935' },
+  dapper:    { name: 'Dapper',    price: 1500, shirt: '#3e2723', pants: '#212121', hat: 'tophat', hatColor: '#111111' },
+};
+
+// Chaser outfits work the same way
+export const OUTFITS = {
+  guard:     { name: 'Guard',     price: 0,    shirt: '#263238', pants: '#263238', hat: 'cap' },
+  police:    { name: 'Police',    price: 600,  shirt: '#0d47a1', pants: '#0d47a1', hat: 'cap', hatColor: '#111111' },
+  hiVis:     { name: 'Hi-Vis',    price: 700,  shirt: '#fdd835', pants: '#263238', pattern: { type: 'hoops', color: '#9e9e9e' }, hat: 'beanie' },
+  conductor: { name: 'Conductor', price: 900,  shirt: '#b71c1c', pants: '#212121', pattern: { type: 'stripes', color: '#8e0000' }, hat: 'tophat' },
+};
+
+export const DEFAULT_SKIN = 'classic';
+export const DEFAULT_OUTFIT = 'guard';
@@ -0,0 +1,66 @@
+// Time of day and weather. The day runs on the run clock, so a long run goes
+// from morning through dusk and night to dawn; Settings can also hold one time.
+export const DAY_LENGTH = 300; // Seconds of running per full day
+export const DAY_START = 0.15; // Runs start in the morning
+
+// Sky keys by phase of the day (0..1, wrapping). Repeated keys hold a look for a while.
+//   sky        clear colour, also the fog colour
+//   sun        sun colour, intensity and elevation in degrees (the moon at night)
+//   ambient    ambient light colour and intensity
+//   night      0..1, how much windows and train headlights light up
+const DAWN  = { sky: 0xf2a07b, sun: 0xffb27a, sunIntensity: 0.6,  elevation: 12, ambient: 0xffd9c0, ambientIntensity: 0.4,  night: 0.4 };
+const DAY   = { sky: 0x87ceeb, sun: 0xfffaed, sunIntensity: 1.2,  elevation: 60, ambient: 0xffffff, ambientIntensity: 0.6,  night: 0 };
+const DUSK  = { sky: 0xe0785a, sun: 0xff8844, sunIntensity: 0.7,  elevation: 10, ambient: 0xffc0a0, ambientIntensity: 0.4,  night: 0.5 };
+const NIGHT = { sky: 0x0b1026, sun: 0x8899ff, sunIntensity: 0.25, elevation: 45, ambient: 0x6677aa, ambientIntensity: 0.25, night: 1 };
+const SKY_KEYS = [
+  { phase: 0,    ...DAWN },
+  { phase: 0.08, ...DAY },
+  { phase: 0.42, ...DAY },
+  { phase: 0.5,  ...DUSK },
+  { phase: 0.58, ...NIGHT },
+  { phase: 0.92, ...NIGHT },
+];
+
+// Fixed times of day offered in Settings ('cycle' follows the run clock)
+export const TIMES_OF_DAY = { dawn: 0, day: 0.25, dusk: 0.5, night: 0.75 };
+
+// Weather presets
+//   particles   'rain' | 'snow' | null, with colour, size, fall speed and sideways drift
+//   overcast    0..1, greys the sky and dims the sun
+//   fog         multiplier on the quality tier's fog distance
+//   ground      track material roughness / metalness (wet ground reflects)
+export const WEATHER = {
+  clear: { name: 'Clear', particles: null, overcast: 0,    fog: 1,    ground: { roughness: 1,    metalness: 0 } },
+  rain:  { name: 'Rain',  particles: 'rain', color: 0xa8bccf, size: 0.12, fall: 30, drift: 0.5,
+           overcast: 0.6,  fog: 0.75, ground: { roughness: 0.25, metalness: 0.35 } },
+  snow:  { name: 'Snow',  particles: 'snow', color: 0xffffff, size: 0.25, fall: 3, drift: 1.5,
+           overcast: 0.35, fog: 0.6,  ground: { roughness: 0.9,  metalness: 0 } },
+};
+
+const OVERCAST = 0x8a9199;
+
+const mixColor = (a, b, t) => {
+  const ch = (shift) => Math.round(((a >> shift) & 255) + (((b >> shift) & 255) - ((a >> shift) & 255)) * t);
+  return (ch(16) << 16) | (ch(8) << 8) | ch(0);
+};
+
+// Blended sky at a phase of the day, dulled by the weather
+export function skyAt(phase, weather = WEATHER.clear) {
+  phase = ((phase % 1) + 1) % 1;
+  let i = SKY_KEYS.length - 1;
+  while(SKY_KEYS[i].phase > phase) i--;
+  const a = SKY_KEYS[i], b = SKY_KEYS[(i + 1) % SKY_KEYS.length];
+  const span = (b.phase > a.phase ? b.phase : b.phase + 1) - a.phase;
+  const t = (phase - a.phase) / span;
+  const lerp = (x, y) => x + (y - x) * t;
+  const o = weather.overcast;
+  return {
+    sky: mixColor(mixColor(a.sky, b.sky, t), OVERCAST, o * (1 - lerp(a.night, b.night))),
+    sun: mixColor(a.sun, b.sun, t),
+    sunIntensity: lerp(a.sunIntensity, b.sunIntensity) * (1 - o * 0.6),
+    elevation: lerp(a.elevation, b.elevation),
+    ambient: mixColor(a.ambient, b.ambient, t),
+    ambientIntensity: lerp(a.ambientIntensity, b.ambientIntensity),
+    night: lerp(a.night, b.night),
+  };
+}
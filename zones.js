@@ -0,0 +1,43 @@
+// Zones the track runs through. A zone lasts a stretch of several chunks; the
+// next one is picked from `next` (weighted, times the difficulty's zone curves)
+// and a gate chunk with no obstacles sits between the two.
+//   chunks     [min, max] chunks in a stretch
+//   next       zone id -> weight of following this one
+//   weights    multipliers on pattern weights by pattern id or tag (0 keeps a pattern out)
+//   buildings  { x, h: [min, max] } buildings either side of the track, or null
+//   look       for the view: floor and building texture, light (1 = open sky)
+export const ZONES = {
+  street: {
+    name: 'City Street',
+    chunks: [4, 8],
+    next: { tunnel: 1, bridge: 1, yard: 1 },
+    weights: {},
+    buildings: { x: 9, h: [10, 25] },
+    look: { floor: 'ground', walls: 'building', light: 1 },
+  },
+  tunnel: {
+    name: 'Subway Tunnel',
+    chunks: [3, 5],
+    next: { street: 2, yard: 1 },
+    weights: { ramp: 0, barrier: 1.3 }, // No room to ramp onto roofs
+    buildings: null,
+    look: { floor: 'concrete', walls: 'tunnel', light: 0.35 },
+  },
+  bridge: {
+    name: 'Elevated Bridge',
+    chunks: [3, 6],
+    next: { street: 1, yard: 1 },
+    weights: { ramp: 0.5, train: 0.7, barrier: 1.3 },
+    buildings: null,
+    look: { floor: 'deck', walls: null, light: 1 },
+  },
+  yard: {
+    name: 'Rail Yard',
+    chunks: [4, 7],
+    next: { street: 1, tunnel: 1, bridge: 1 },
+    weights: { train: 2, ramp: 1.5, barrier: 0.5 },
+    buildings: { x: 13, h: [4, 8] }, // Sheds
+    look: { floor: 'gravel', walls: 'shed', light: 0.9 },
+  },
+};
+export const FIRST_ZONE = 'street';